@@ -8,6 +8,12 @@ const morgan = require("morgan");
 const pricesRouter = require("./routes/prices");
 const fundamentalsRouter = require("./routes/fundamentals");
 const portfolioRouter = require("./routes/portfolio");
+const portfoliosRouter = require("./routes/portfolios");
+const streamRouter = require("./routes/stream");
+const adminRouter = require("./routes/admin");
+const diagnosticsRouter = require("./routes/diagnostics");
+const { attachPriceSocket } = require("./lib/socket");
+const { flushStores } = require("./lib/store");
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -24,6 +30,10 @@ app.get("/", (req, res) => {
 app.use("/api/prices", pricesRouter);
 app.use("/api/fundamentals", fundamentalsRouter);
 app.use("/api/portfolio", portfolioRouter);
+app.use("/api/portfolios", portfoliosRouter);
+app.use("/api/stream", streamRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/diagnostics", diagnosticsRouter);
 
 app.use((err, _req, res, _next) => {
   console.error(err);
@@ -34,4 +44,12 @@ app.use((err, _req, res, _next) => {
   });
 });
 
-app.listen(PORT, () => console.log(`API listening on ${PORT}`));
+const server = app.listen(PORT, () => console.log(`API listening on ${PORT}`));
+attachPriceSocket(server);
+
+for (const signal of ["SIGINT", "SIGTERM", "SIGUSR2"]) {
+  process.once(signal, () => {
+    flushStores();
+    process.exit(0);
+  });
+}
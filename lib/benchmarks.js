@@ -0,0 +1,131 @@
+const { getHistory } = require("./history");
+const { xirr } = require("./returns");
+
+const BENCHMARKS = {
+  NIFTY50: "^NSEI",
+  NIFTY: "^NSEI",
+  SENSEX: "^BSESN",
+  NIFTYBANK: "^NSEBANK",
+  BANKNIFTY: "^NSEBANK",
+  NIFTYIT: "^CNXIT",
+  NIFTYFMCG: "^CNXFMCG",
+  NIFTYENERGY: "^CNXENERGY",
+  NIFTYINFRA: "^CNXINFRA",
+  NIFTYAUTO: "^CNXAUTO",
+  NIFTYPHARMA: "^CNXPHARMA",
+  NIFTYMETAL: "^CNXMETAL",
+  NIFTYREALTY: "^CNXREALTY",
+  NIFTYFINSERVICE: "NIFTY_FIN_SERVICE.NS",
+};
+
+const SECTOR_INDICES = {
+  "Financial Sector": "NIFTY_FIN_SERVICE.NS",
+  "Tech Sector": "^CNXIT",
+  "Consumer Sector": "^CNXFMCG",
+  "Power Sector": "^CNXENERGY",
+  "Pipe Sector": "^CNXINFRA",
+  Others: "^NSEI",
+};
+
+function resolveBenchmark(input) {
+  const raw = String(input || "").trim();
+  const alias = BENCHMARKS[raw.toUpperCase().replace(/[\s_-]/g, "")];
+  if (alias) return alias;
+  if (/^\^[A-Z0-9.]+$/i.test(raw) || /\.(NS|BO)$/i.test(raw)) {
+    return raw.toUpperCase();
+  }
+  const err = new Error(`Unknown benchmark: ${input}`);
+  err.status = 400;
+  throw err;
+}
+
+function sectorBenchmark(sector) {
+  return SECTOR_INDICES[sector] ?? null;
+}
+
+function priceOnOrAfter(bars, date) {
+  const hit = bars.find((b) => b.date >= date);
+  return (hit ?? bars[bars.length - 1]).close;
+}
+
+async function compareWithBenchmark({ symbol, lines, metrics, series, asOf }) {
+  let bars;
+  try {
+    const h = await getHistory({ symbol, from: metrics.startDate });
+    bars = h.bars.map((b) => ({ date: b.date.slice(0, 10), close: b.close }));
+    if (!bars.length) throw new Error("No benchmark history returned");
+  } catch (err) {
+    return { symbol, error: err?.message || String(err), series: [] };
+  }
+
+  const flows = lines
+    .flatMap((l) => l.events)
+    .filter((e) => e.cash !== 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const buys = flows.map((e) => ({
+    date: e.date,
+    cash: e.cash,
+    units: -e.cash / priceOnOrAfter(bars, e.date),
+  }));
+  const lastClose = bars[bars.length - 1].close;
+  const totalUnits = buys.reduce((a, b) => a + b.units, 0);
+  const counterfactualValue = totalUnits * lastClose;
+  const benchXirr = xirr([
+    ...flows.map((e) => ({ date: e.date, amount: e.cash })),
+    { date: asOf, amount: counterfactualValue },
+  ]);
+
+  const closes = new Map(bars.map((b) => [b.date, b.close]));
+  const firstClose = bars[0].close;
+  let close = firstClose;
+  let units = 0;
+  let bi = 0;
+  let twr = 100;
+  let prev = null;
+  const out = series.map((p) => {
+    close = closes.get(p.date) ?? close;
+    while (bi < buys.length && buys[bi].date <= p.date)
+      units += buys[bi++].units;
+    if (prev && prev.value > 0) {
+      const flow = p.netInvested - prev.netInvested;
+      twr *= (p.value - flow) / prev.value;
+    }
+    prev = p;
+    return {
+      date: p.date,
+      portfolio: twr,
+      benchmark: (close / firstClose) * 100,
+      portfolioValue: p.value,
+      counterfactualValue: units * close,
+    };
+  });
+
+  const last = out[out.length - 1];
+  return {
+    symbol,
+    counterfactualValue,
+    xirr: benchXirr,
+    excessXirr:
+      metrics.xirr != null && benchXirr != null
+        ? metrics.xirr - benchXirr
+        : null,
+    excessValue: metrics.currentValue - counterfactualValue,
+    ...(last
+      ? {
+          portfolioReturnPct: last.portfolio - 100,
+          benchmarkReturnPct: last.benchmark - 100,
+          excessReturnPct: last.portfolio - last.benchmark,
+        }
+      : {}),
+    series: out,
+  };
+}
+
+module.exports = {
+  BENCHMARKS,
+  SECTOR_INDICES,
+  resolveBenchmark,
+  sectorBenchmark,
+  compareWithBenchmark,
+};
@@ -0,0 +1,200 @@
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURES || 5);
+const THROTTLE_THRESHOLD = Number(process.env.BREAKER_THROTTLES || 2);
+const COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30_000);
+const MAX_COOLDOWN_MS = 10 * 60_000;
+
+const YAHOO_HOST = "finance.yahoo.com";
+
+const breakers = new Map();
+
+function breakerFor(host) {
+  let b = breakers.get(host);
+  if (!b) {
+    b = {
+      host,
+      state: "closed",
+      failures: 0,
+      throttles: 0,
+      cooldownMs: COOLDOWN_MS,
+      openedAt: null,
+      retryAt: null,
+      probing: false,
+      calls: 0,
+      totalFailures: 0,
+      totalThrottled: 0,
+      rejected: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+    };
+    breakers.set(host, b);
+  }
+  return b;
+}
+
+function hostOf(url) {
+  return new URL(url).host;
+}
+
+const NETWORK_CODES =
+  /^(ECONNRESET|ECONNREFUSED|ECONNABORTED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|EHOSTUNREACH|ENETUNREACH|EPIPE|UND_ERR_)/;
+const NETWORK_MESSAGES =
+  /timeout|timed out|socket hang up|fetch failed|connection (closed|reset)/i;
+
+// yahoo-finance2 puts the HTTP status of an HTTPError in `code`.
+function statusOf(err) {
+  const code = err?.statusCode ?? err?.status ?? err?.code;
+  return typeof code === "number" ? code : null;
+}
+
+function isThrottled(err) {
+  return (
+    statusOf(err) === 429 ||
+    /\b429\b|too many requests/i.test(err?.message || "")
+  );
+}
+
+// Only throttling, server errors, timeouts and network failures count against
+// the host; unknown symbols (404, "No data found"), bad input and schema
+// drift are the caller's problem.
+function isUpstreamFailure(err) {
+  const status = statusOf(err);
+  if (status != null) return status === 429 || status >= 500;
+  if (isThrottled(err)) return true;
+  if (/AbortError|TimeoutError/.test(err?.name || "")) return true;
+  const code = String(err?.code ?? err?.cause?.code ?? "");
+  return NETWORK_CODES.test(code) || NETWORK_MESSAGES.test(err?.message || "");
+}
+
+function circuitOpenError(b) {
+  const err = new Error(
+    `Circuit open for ${b.host}; retrying after ${new Date(
+      b.retryAt
+    ).toISOString()}`
+  );
+  err.code = "CIRCUIT_OPEN";
+  err.host = b.host;
+  err.retryAt = b.retryAt;
+  return err;
+}
+
+function trip(b, cooldownMs) {
+  const now = Date.now();
+  b.state = "open";
+  b.cooldownMs = cooldownMs;
+  b.openedAt = now;
+  b.retryAt = now + cooldownMs;
+  console.error(`circuit open (${b.host}, ${cooldownMs}ms):`, b.lastError);
+}
+
+function onSuccess(b) {
+  b.state = "closed";
+  b.failures = 0;
+  b.throttles = 0;
+  b.cooldownMs = COOLDOWN_MS;
+  b.openedAt = null;
+  b.retryAt = null;
+  b.probing = false;
+  b.lastSuccessAt = Date.now();
+}
+
+function onFailure(b, err) {
+  const probe = b.probing;
+  b.probing = false;
+  if (!isUpstreamFailure(err)) {
+    if (probe) onSuccess(b);
+    return;
+  }
+
+  const throttled = isThrottled(err);
+  b.failures += 1;
+  b.totalFailures += 1;
+  if (throttled) {
+    b.throttles += 1;
+    b.totalThrottled += 1;
+  } else {
+    b.throttles = 0;
+  }
+  b.lastError = err?.message || String(err);
+  b.lastFailureAt = Date.now();
+
+  if (probe) {
+    trip(b, Math.min(b.cooldownMs * 2, MAX_COOLDOWN_MS));
+  } else if (
+    b.state === "closed" &&
+    (b.failures >= FAILURE_THRESHOLD || b.throttles >= THROTTLE_THRESHOLD)
+  ) {
+    trip(b, COOLDOWN_MS);
+  }
+}
+
+async function withBreaker(host, fn) {
+  const b = breakerFor(host);
+  if (b.state === "open" && Date.now() >= b.retryAt) b.state = "half-open";
+  if (b.state === "open" || (b.state === "half-open" && b.probing)) {
+    b.rejected += 1;
+    throw circuitOpenError(b);
+  }
+  if (b.state === "half-open") b.probing = true;
+
+  b.calls += 1;
+  try {
+    const out = await fn();
+    onSuccess(b);
+    return out;
+  } catch (err) {
+    onFailure(b, err);
+    throw err;
+  }
+}
+
+function isCircuitOpen(err) {
+  return err?.code === "CIRCUIT_OPEN";
+}
+
+async function checkResponse({ statusCode, body }, url) {
+  if (statusCode === 429 || statusCode >= 500) {
+    await body.dump().catch(() => {});
+    const err = new Error(`${hostOf(url)} responded ${statusCode}`);
+    err.statusCode = statusCode;
+    throw err;
+  }
+}
+
+function breakerStats() {
+  return Array.from(breakers.values()).map((b) => ({
+    host: b.host,
+    state:
+      b.state === "open" && Date.now() >= b.retryAt ? "half-open" : b.state,
+    consecutiveFailures: b.failures,
+    consecutiveThrottles: b.throttles,
+    openedAt: b.openedAt,
+    retryAt: b.retryAt,
+    cooldownMs: b.cooldownMs,
+    calls: b.calls,
+    failures: b.totalFailures,
+    throttled: b.totalThrottled,
+    rejected: b.rejected,
+    lastError: b.lastError,
+    lastFailureAt: b.lastFailureAt,
+    lastSuccessAt: b.lastSuccessAt,
+  }));
+}
+
+function resetBreaker(host) {
+  const b = breakers.get(host);
+  if (!b) return false;
+  onSuccess(b);
+  return true;
+}
+
+module.exports = {
+  YAHOO_HOST,
+  hostOf,
+  withBreaker,
+  isCircuitOpen,
+  isUpstreamFailure,
+  checkResponse,
+  breakerStats,
+  resetBreaker,
+};
@@ -0,0 +1,83 @@
+const FORMATS = [
+  {
+    id: "zerodha_console",
+    name: "Zerodha Console holdings",
+    columns: {
+      symbol: ["symbol"],
+      qty: ["quantity available"],
+      avgCost: ["average price"],
+      isin: ["isin"],
+      sector: ["sector"],
+    },
+    required: ["symbol", "qty", "avgCost"],
+  },
+  {
+    id: "zerodha_kite",
+    name: "Zerodha Kite holdings",
+    columns: {
+      symbol: ["instrument"],
+      qty: ["qty."],
+      avgCost: ["avg. cost"],
+      exchange: ["exchange"],
+    },
+    required: ["symbol", "qty", "avgCost"],
+  },
+  {
+    id: "groww",
+    name: "Groww holdings statement",
+    columns: {
+      particulars: ["stock name"],
+      isin: ["isin"],
+      qty: ["quantity"],
+      avgCost: ["average buy price"],
+    },
+    required: ["particulars", "qty", "avgCost"],
+  },
+  {
+    id: "upstox",
+    name: "Upstox holdings",
+    columns: {
+      particulars: ["scrip name", "company name"],
+      symbol: ["symbol", "trading symbol", "scrip code"],
+      exchange: ["exchange"],
+      isin: ["isin"],
+      qty: ["quantity", "qty", "net qty"],
+      avgCost: ["avg. price", "avg price", "average price", "buy avg"],
+    },
+    required: ["particulars", "qty", "avgCost"],
+  },
+];
+
+const norm = (v) =>
+  String(v || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+function matchHeader(row, format) {
+  const cells = (row || []).map(norm);
+  const map = {};
+  for (const [field, labels] of Object.entries(format.columns)) {
+    const idx = cells.findIndex((c) => labels.includes(c));
+    if (idx !== -1) map[field] = idx;
+  }
+  return format.required.every((f) => map[f] != null) ? map : null;
+}
+
+function detectBrokerFormat(rows) {
+  for (let r = 0; r < Math.min(rows.length, 30); r++) {
+    for (const format of FORMATS) {
+      const headerMap = matchHeader(rows[r], format);
+      if (headerMap) return { format, headerIndex: r, headerMap };
+    }
+  }
+  return null;
+}
+
+function cleanBrokerSymbol(v) {
+  return String(v || "")
+    .trim()
+    .replace(/-(EQ|BE|BZ|SM|ST)$/i, "");
+}
+
+module.exports = { FORMATS, detectBrokerFormat, cleanBrokerSymbol };
@@ -1,4 +1,5 @@
 const { request } = require("undici");
+const { withBreaker, hostOf, checkResponse } = require("./breaker");
 
 async function fetchBseSecurityId(numericCode) {
   const code = String(numericCode || "").trim();
@@ -7,13 +8,16 @@ async function fetchBseSecurityId(numericCode) {
   const url = `https://m.bseindia.com/StockReach.aspx?scripcd=${encodeURIComponent(
     code
   )}`;
-  const { body } = await request(url, {
-    headers: {
-      "user-agent": "Mozilla/5.0",
-      accept: "text/html,application/xhtml+xml",
-    },
+  const html = await withBreaker(hostOf(url), async () => {
+    const res = await request(url, {
+      headers: {
+        "user-agent": "Mozilla/5.0",
+        accept: "text/html,application/xhtml+xml",
+      },
+    });
+    await checkResponse(res, url);
+    return res.body.text();
   });
-  const html = await body.text();
 
   const patterns = [
     /Security\s*ID\s*<\/?\w*>\s*([A-Z0-9.-]+)/i,
@@ -1,23 +1,311 @@
 const { LRUCache } = require("lru-cache");
+const { marketTtl } = require("./market");
+const { createBackend } = require("./cachebackend");
 
-const quotesCache = new LRUCache({ max: 500, ttl: 20_000 });
-const fundamentalsCache = new LRUCache({ max: 500, ttl: 60_000 });
+const CLOSED_MAX_TTL = 12 * 60 * 60_000;
+const STALE_MAX_AGE_MS = Number(
+  process.env.STALE_MAX_AGE_MS || 24 * 60 * 60_000
+);
 
-const fundamentalsBySymbol = new LRUCache({
-  max: 2000,
-  ttl: 10 * 60_000,
-  allowStale: true,
-  updateAgeOnGet: true,
-});
+function marketAware(cache, closedMaxTtl = CLOSED_MAX_TTL) {
+  const set = cache.set.bind(cache);
+  cache.set = (key, value, opts = {}) =>
+    set(key, value, {
+      ...opts,
+      ttl: opts.ttl ?? marketTtl(cache.ttl, closedMaxTtl),
+    });
+  return cache;
+}
 
-const symbolResolveCache = new LRUCache({
-  max: 5000,
-  ttl: 24 * 60 * 60_000,
-});
+const backend = createBackend({ retainMs: STALE_MAX_AGE_MS });
+const namespaces = new Map();
+const byCache = new WeakMap();
+let lastBackendErrorAt = 0;
+
+function quiet(p) {
+  return p.catch((err) => {
+    if (Date.now() - lastBackendErrorAt > 60_000) {
+      console.error(`cache backend (${backend.name}):`, err?.message || err);
+    }
+    lastBackendErrorAt = Date.now();
+    return undefined;
+  });
+}
+
+function restore(ns, key, e) {
+  const ttl =
+    e.expiresAt == null ? ns.cache.ttl : Math.max(1, e.expiresAt - Date.now());
+  ns.rawSet(key, e.value, { ttl });
+}
+
+async function hydrate(ns) {
+  const entries = (await quiet(backend.entries(ns.namespace))) || [];
+  for (const [key, e] of entries) {
+    if (ns.cache.peek(key, { allowStale: true }) === undefined) {
+      restore(ns, key, e);
+    }
+  }
+}
+
+function namespaced(namespace, cache) {
+  const ns = {
+    namespace,
+    cache,
+    rawSet: cache.set.bind(cache),
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    backendHits: 0,
+    invalidated: 0,
+  };
+  namespaces.set(namespace, ns);
+  byCache.set(cache, ns);
+
+  const del = cache.delete.bind(cache);
+  cache.set = (key, value, opts) => {
+    ns.rawSet(key, value, opts);
+    quiet(backend.set(namespace, key, value, cache.getRemainingTTL(key)));
+    return cache;
+  };
+  cache.delete = (key) => {
+    quiet(backend.delete(namespace, key));
+    return del(key);
+  };
+
+  if (backend.hydrates) hydrate(ns);
+  return cache;
+}
+
+async function fromBackend(cache, key) {
+  const ns = byCache.get(cache);
+  if (!ns) return;
+  const e = await quiet(backend.get(ns.namespace, key));
+  if (!e || cache.getRemainingTTL(key) > 0) return;
+  restore(ns, key, e);
+  if (cache.getRemainingTTL(key) > 1) ns.backendHits += 1;
+}
+
+function count(cache, kind) {
+  const ns = byCache.get(cache);
+  if (ns) ns[kind] += 1;
+}
+
+const quotesCache = namespaced(
+  "quotes",
+  marketAware(new LRUCache({ max: 2000, ttl: 20_000 }))
+);
+const fundamentalsCache = namespaced(
+  "fundamentals",
+  marketAware(new LRUCache({ max: 500, ttl: 60_000 }))
+);
+
+const fundamentalsBySymbol = namespaced(
+  "fundamentals-by-symbol",
+  marketAware(
+    new LRUCache({
+      max: 2000,
+      ttl: 10 * 60_000,
+      allowStale: true,
+      updateAgeOnGet: true,
+    })
+  )
+);
+
+const keyStatsCache = namespaced(
+  "key-stats",
+  marketAware(new LRUCache({ max: 2000, ttl: 30 * 60_000 }))
+);
+
+const symbolResolveCache = namespaced(
+  "bse-resolve",
+  new LRUCache({
+    max: 5000,
+    ttl: 24 * 60 * 60_000,
+  })
+);
+
+const historyCache = namespaced(
+  "history",
+  new LRUCache({
+    max: 1000,
+    ttl: 12 * 60 * 60_000,
+  })
+);
+
+const sectorCache = namespaced(
+  "sectors",
+  new LRUCache({
+    max: 5000,
+    ttl: 7 * 24 * 60 * 60_000,
+  })
+);
+
+const inflightByCache = new WeakMap();
+
+function inflightFor(cache) {
+  let inflight = inflightByCache.get(cache);
+  if (!inflight) {
+    inflight = new Map();
+    inflightByCache.set(cache, inflight);
+  }
+  return inflight;
+}
+
+function startLoad(cache, key, load, cacheIf) {
+  const inflight = inflightFor(cache);
+  if (inflight.has(key)) return inflight.get(key);
+  const p = Promise.resolve()
+    .then(load)
+    .then((value) => {
+      if (cacheIf(value)) cache.set(key, value);
+      return value;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+function peekStale(cache, key) {
+  const value = cache.get(key, { allowStale: true, noDeleteOnStaleGet: true });
+  if (value === undefined) return undefined;
+  const age = value?.ts != null ? Date.now() - value.ts : null;
+  return age == null || age <= STALE_MAX_AGE_MS ? value : undefined;
+}
+
+function staleMeta(value, error) {
+  return {
+    cache: "stale",
+    stale: true,
+    age: value?.ts != null ? Date.now() - value.ts : null,
+    ...(error ? { staleReason: error } : {}),
+  };
+}
+
+async function lookupCached(cache, key, load, { cacheIf = () => true } = {}) {
+  if (cache.getRemainingTTL(key) <= 0) await fromBackend(cache, key);
+  const ttl = cache.getRemainingTTL(key);
+  const cached = peekStale(cache, key);
+  if (cached !== undefined) {
+    if (ttl > 0) {
+      count(cache, "hits");
+      return { value: cache.get(key), cache: "hit" };
+    }
+    if (cache.allowStale) {
+      count(cache, "staleHits");
+      startLoad(cache, key, load, cacheIf).catch(() => {});
+      return { value: cached, ...staleMeta(cached) };
+    }
+  }
+
+  const coalesced = inflightFor(cache).has(key);
+  let value;
+  try {
+    value = await startLoad(cache, key, load, cacheIf);
+  } catch (err) {
+    if (cached === undefined) {
+      count(cache, "misses");
+      throw err;
+    }
+    count(cache, "staleHits");
+    return { value: cached, ...staleMeta(cached, err?.message || String(err)) };
+  }
+  if (cached !== undefined && !cacheIf(value)) {
+    count(cache, "staleHits");
+    return { value: cached, ...staleMeta(cached, value?.error) };
+  }
+  count(cache, "misses");
+  return { value, cache: coalesced ? "coalesced" : "miss" };
+}
+
+async function readThrough(cache, key) {
+  if (cache.getRemainingTTL(key) <= 0) await fromBackend(cache, key);
+  const value = cache.getRemainingTTL(key) > 0 ? cache.get(key) : undefined;
+  count(cache, value === undefined ? "misses" : "hits");
+  return value;
+}
+
+function backendInfo() {
+  return {
+    name: backend.name,
+    ...(backend.dir ? { dir: backend.dir } : {}),
+    ...(backend.url ? { url: backend.url } : {}),
+  };
+}
+
+async function cacheStats() {
+  const caches = await Promise.all(
+    Array.from(namespaces.values(), async (ns) => {
+      const lookups = ns.hits + ns.staleHits + ns.misses;
+      return {
+        namespace: ns.namespace,
+        size: ns.cache.size,
+        max: ns.cache.max,
+        ttl: ns.cache.ttl,
+        backendSize: (await quiet(backend.size(ns.namespace))) ?? null,
+        hits: ns.hits,
+        staleHits: ns.staleHits,
+        misses: ns.misses,
+        backendHits: ns.backendHits,
+        hitRatio: lookups ? (ns.hits + ns.staleHits) / lookups : null,
+        invalidated: ns.invalidated,
+      };
+    })
+  );
+  return { backend: backendInfo(), caches, ts: Date.now() };
+}
+
+function keyHasSymbol(key, symbol) {
+  return String(key).toUpperCase().split(/[:.]/).includes(symbol);
+}
+
+async function invalidateCache({ namespace, symbol } = {}) {
+  let targets = Array.from(namespaces.values());
+  if (namespace) {
+    targets = targets.filter((ns) => ns.namespace === namespace);
+    if (!targets.length) {
+      const err = new Error(
+        `Unknown cache namespace: ${namespace}. Known: ${Array.from(
+          namespaces.keys()
+        ).join(", ")}`
+      );
+      err.status = 404;
+      throw err;
+    }
+  }
+  const sym = symbol ? String(symbol).trim().toUpperCase() : null;
+
+  const results = [];
+  for (const ns of targets) {
+    const keys = new Set(ns.cache.dump().map(([k]) => k));
+    for (const k of (await quiet(backend.keys(ns.namespace))) || []) {
+      keys.add(k);
+    }
+    let removed = 0;
+    for (const k of keys) {
+      if (sym && !keyHasSymbol(k, sym)) continue;
+      ns.cache.delete(k);
+      removed += 1;
+    }
+    ns.invalidated += removed;
+    results.push({ namespace: ns.namespace, removed });
+  }
+  return results;
+}
 
 module.exports = {
+  marketAware,
+  namespaced,
+  lookupCached,
+  readThrough,
+  cacheStats,
+  invalidateCache,
+  peekStale,
+  staleMeta,
   quotesCache,
   fundamentalsCache,
   fundamentalsBySymbol,
+  keyStatsCache,
   symbolResolveCache,
+  historyCache,
+  sectorCache,
 };
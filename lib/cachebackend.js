@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./store");
+const { createRedisClient } = require("./redis");
+const { withBreaker } = require("./breaker");
+
+const FLUSH_MS = 1000;
+
+function expiresAt(ttlMs) {
+  return ttlMs > 0 && Number.isFinite(ttlMs) ? Date.now() + ttlMs : null;
+}
+
+function memoryBackend() {
+  return {
+    name: "memory",
+    hydrates: false,
+    async get() {
+      return undefined;
+    },
+    async set() {},
+    async delete() {},
+    async keys() {
+      return [];
+    },
+    async entries() {
+      return [];
+    },
+    async size() {
+      return null;
+    },
+  };
+}
+
+function diskBackend({ dir, retainMs }) {
+  const spaces = new Map();
+  const dirty = new Set();
+  let timer = null;
+
+  const fileFor = (ns) =>
+    path.join(dir, `${ns.replace(/[^\w.-]+/g, "_")}.json`);
+  const isKept = (e) =>
+    e.expiresAt == null || e.expiresAt + retainMs > Date.now();
+
+  function space(ns) {
+    if (spaces.has(ns)) return spaces.get(ns);
+    const entries = new Map();
+    try {
+      const raw = JSON.parse(fs.readFileSync(fileFor(ns), "utf8"));
+      for (const [k, e] of Object.entries(raw)) {
+        if (isKept(e)) entries.set(k, e);
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`cache ${ns} unreadable:`, err);
+    }
+    spaces.set(ns, entries);
+    return entries;
+  }
+
+  function flush() {
+    timer = null;
+    if (!dirty.size) return;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      for (const ns of dirty) {
+        const out = {};
+        for (const [k, e] of space(ns)) {
+          if (isKept(e)) out[k] = e;
+        }
+        const file = fileFor(ns);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(out));
+        fs.renameSync(tmp, file);
+      }
+      dirty.clear();
+    } catch (err) {
+      console.error("cache flush failed:", err?.message || err);
+    }
+  }
+
+  function touch(ns) {
+    dirty.add(ns);
+    if (timer) return;
+    timer = setTimeout(flush, FLUSH_MS);
+    timer.unref?.();
+  }
+
+  process.on("exit", flush);
+
+  return {
+    name: "disk",
+    dir,
+    hydrates: true,
+    async get(ns, key) {
+      const e = space(ns).get(key);
+      return e && isKept(e) ? e : undefined;
+    },
+    async set(ns, key, value, ttlMs) {
+      space(ns).set(key, { value, expiresAt: expiresAt(ttlMs) });
+      touch(ns);
+    },
+    async delete(ns, key) {
+      if (space(ns).delete(key)) touch(ns);
+    },
+    async keys(ns) {
+      return Array.from(space(ns).keys());
+    },
+    async entries(ns) {
+      return Array.from(space(ns)).filter(([, e]) => isKept(e));
+    },
+    async size(ns) {
+      return space(ns).size;
+    },
+    flush,
+  };
+}
+
+function redisBackend({ url, prefix, retainMs }) {
+  const client = createRedisClient(url);
+  const host = `redis:${new URL(url).host}`;
+  const command = (...args) => withBreaker(host, () => client.command(...args));
+  const full = (ns, key) => `${prefix}${ns}:${key}`;
+
+  async function keys(ns) {
+    const match = `${prefix}${ns}:`;
+    const out = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await command(
+        "SCAN",
+        cursor,
+        "MATCH",
+        `${match}*`,
+        "COUNT",
+        500
+      );
+      cursor = next;
+      for (const k of batch) out.push(k.slice(match.length));
+    } while (cursor !== "0");
+    return out;
+  }
+
+  return {
+    name: "redis",
+    url: client.url,
+    hydrates: false,
+    async get(ns, key) {
+      const raw = await command("GET", full(ns, key));
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+    async set(ns, key, value, ttlMs) {
+      const entry = JSON.stringify({ value, expiresAt: expiresAt(ttlMs) });
+      if (ttlMs > 0 && Number.isFinite(ttlMs)) {
+        await command("SET", full(ns, key), entry, "PX", ttlMs + retainMs);
+      } else {
+        await command("SET", full(ns, key), entry);
+      }
+    },
+    async delete(ns, key) {
+      await command("DEL", full(ns, key));
+    },
+    keys,
+    async entries() {
+      return [];
+    },
+    async size(ns) {
+      return (await keys(ns)).length;
+    },
+  };
+}
+
+function createBackend({ retainMs }) {
+  const kind = String(process.env.CACHE_BACKEND || "memory").toLowerCase();
+  if (kind === "disk") {
+    return diskBackend({
+      dir: process.env.CACHE_DIR || path.join(DATA_DIR, "cache"),
+      retainMs,
+    });
+  }
+  if (kind === "redis") {
+    return redisBackend({
+      url: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+      prefix: process.env.CACHE_PREFIX ?? "ipb:",
+      retainMs,
+    });
+  }
+  if (kind !== "memory") {
+    console.warn(`Unknown CACHE_BACKEND "${kind}", using memory`);
+  }
+  return memoryBackend();
+}
+
+module.exports = { createBackend };
@@ -0,0 +1,85 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+function fmt(y, m, d) {
+  const dt = new Date(Date.UTC(y, m, d));
+  if (
+    dt.getUTCFullYear() !== y ||
+    dt.getUTCMonth() !== m ||
+    dt.getUTCDate() !== d
+  ) {
+    return null;
+  }
+  return dt.toISOString().slice(0, 10);
+}
+
+// Accepts ISO strings, Indian DD/MM/YYYY, DD-Mon-YYYY, Excel serials and Dates.
+function toIsoDate(v) {
+  if (v == null || v === "") return null;
+  if (v instanceof Date) {
+    return Number.isNaN(v.getTime()) ? null : v.toISOString().slice(0, 10);
+  }
+  if (typeof v === "number") {
+    if (!Number.isFinite(v) || v <= 0) return null;
+    return new Date(EXCEL_EPOCH + Math.floor(v) * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+  }
+
+  const s = String(v).trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return fmt(+m[1], +m[2] - 1, +m[3]);
+
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return fmt(+m[3], +m[2] - 1, +m[1]);
+
+  m = s.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/,-]+(\d{4})$/);
+  if (m && MONTHS[m[2].toLowerCase()] != null) {
+    return fmt(+m[3], MONTHS[m[2].toLowerCase()], +m[1]);
+  }
+
+  if (/^\d+(\.\d+)?$/.test(s)) return toIsoDate(Number(s));
+  return null;
+}
+
+function toEpochDay(iso) {
+  return Math.floor(Date.parse(`${iso}T00:00:00Z`) / DAY_MS);
+}
+
+function daysBetween(fromIso, toIso) {
+  return toEpochDay(toIso) - toEpochDay(fromIso);
+}
+
+function addDays(iso, n) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + n * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = {
+  DAY_MS,
+  toIsoDate,
+  toEpochDay,
+  daysBetween,
+  addDays,
+  todayIso,
+};
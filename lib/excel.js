@@ -1,5 +1,13 @@
 const XLSX = require("xlsx");
-const { normalizeItemSymbolExchange, isNumericSymbol } = require("./symbols");
+const {
+  normalizeItemSymbolExchange,
+  instrumentKey,
+  isIsin,
+  cleanSym,
+} = require("./symbols");
+const { toIsoDate } = require("./dates");
+const { isKnownSector, normalizeSectorName } = require("./sectors");
+const { detectBrokerFormat, cleanBrokerSymbol } = require("./brokers");
 
 function normalizeHeader(raw) {
   const h = String(raw || "")
@@ -8,9 +16,12 @@ function normalizeHeader(raw) {
 
   if (["particulars", "stock name", "scrip", "name"].includes(h))
     return "particulars";
+  if (/(purchase|buy).*date/.test(h) || h === "date") return "purchaseDate";
   if (h === "purchase price" || /purchase.*price/.test(h))
     return "purchasePrice";
   if (h === "qty" || h === "quantity") return "qty";
+  if (h === "exchange") return "exchange";
+  if (h === "isin" || h.startsWith("isin ")) return "isin";
   if (
     h.includes("nse/bse") ||
     h.includes("nse") ||
@@ -29,14 +40,75 @@ function normalizeHeader(raw) {
   return null;
 }
 
-function findHeaderRow(rows) {
-  for (let r = 0; r < Math.min(rows.length, 30); r++) {
+const MAPPABLE_FIELDS = [
+  "particulars",
+  "purchasePrice",
+  "qty",
+  "nseBse",
+  "exchange",
+  "purchaseDate",
+  "isin",
+  "cmp",
+  "presentValue",
+  "gainLoss",
+  "pe",
+  "latestEarnings",
+];
+
+function resolveMappedColumn(row, spec) {
+  const want = String(spec).trim().toLowerCase();
+  const idx = row.findIndex(
+    (c) =>
+      String(c ?? "")
+        .trim()
+        .toLowerCase() === want
+  );
+  if (idx !== -1) return idx;
+  if (/^[A-Z]{1,3}$/.test(String(spec).trim())) {
+    return XLSX.utils.decode_col(String(spec).trim());
+  }
+  return null;
+}
+
+function findHeaderRow(rows, mapping) {
+  const columns = mapping?.columns || {};
+  const hasMapping = Object.keys(columns).length > 0;
+  let start = 0;
+  let end = Math.min(rows.length, hasMapping ? 200 : 30);
+  if (mapping?.headerIndex != null) {
+    start = mapping.headerIndex;
+    end = Math.min(rows.length, start + 1);
+  }
+
+  for (let r = start; r < end; r++) {
     const row = rows[r] || [];
     const map = {};
     row.forEach((cell, idx) => {
       const k = normalizeHeader(cell);
       if (k) map[k] = idx;
     });
+
+    let resolved = true;
+    const overridden = new Set();
+    for (const [field, spec] of Object.entries(columns)) {
+      const idx = resolveMappedColumn(row, spec);
+      if (idx == null) {
+        resolved = false;
+        break;
+      }
+      overridden.add(idx);
+      map[field] = idx;
+    }
+    if (!resolved) continue;
+    for (const [field, idx] of Object.entries(map)) {
+      if (overridden.has(idx) && columns[field] == null) delete map[field];
+    }
+
+    if (map.nseBse == null && map.exchange != null) {
+      map.nseBse = map.exchange;
+      delete map.exchange;
+    }
+
     if (
       map.particulars != null &&
       map.purchasePrice != null &&
@@ -48,41 +120,6 @@ function findHeaderRow(rows) {
   return null;
 }
 
-const KNOWN_SECTORS = [
-  "Financial Sector",
-  "Financial",
-  "Tech Sector",
-  "Tech",
-  "Consumer Sector",
-  "Consumer",
-  "Power Sector",
-  "Power",
-  "Pipe Sector",
-  "Pipes Sector",
-  "Pipes",
-  "Pipe",
-  "Others",
-  "Other",
-];
-
-function normalizeSectorName(name) {
-  if (!name) return "Others";
-  const t = String(name).trim();
-
-  const low = t.toLowerCase();
-  if (/(^others?$|^misc)/i.test(t)) return "Others";
-
-  if (/^financial( sector)?$/i.test(t)) return "Financial Sector";
-  if (/^tech( sector)?$/i.test(t)) return "Tech Sector";
-  if (/^consumer( sector)?$/i.test(t)) return "Consumer Sector";
-  if (/^power( sector)?$/i.test(t)) return "Power Sector";
-  if (/^(pipe(s)?( sector)?)$/i.test(t)) return "Pipe Sector";
-
-  if (/\bSector$/i.test(t)) return t;
-
-  return "Others";
-}
-
 function isBlank(v) {
   return v == null || String(v).trim() === "";
 }
@@ -92,8 +129,7 @@ function isSectorTitle(text) {
   const t = text.trim();
   if (!t || t.length > 60) return false;
 
-  if (KNOWN_SECTORS.some((s) => s.toLowerCase() === t.toLowerCase()))
-    return true;
+  if (isKnownSector(t)) return true;
 
   if (/\bSector$/i.test(t)) return true;
 
@@ -105,7 +141,7 @@ function looksLikeSectionRow(row, headerMap) {
   if (pIdx == null) return false;
 
   const title = row[pIdx];
-  if (!isSectorTitle(title)) return false;
+  if (!isSectorTitle(title) || /^total/i.test(title.trim())) return false;
 
   const priceEmpty = isBlank(row[headerMap.purchasePrice]);
   const qtyEmpty = isBlank(row[headerMap.qty]);
@@ -115,88 +151,442 @@ function looksLikeSectionRow(row, headerMap) {
   return priceEmpty && qtyEmpty && exEmpty;
 }
 
-function toNumber(v) {
-  if (v == null || v === "") return 0;
-  if (typeof v === "number") return v;
-  const s = String(v).replace(/,/g, "").trim();
-  const n = Number(s);
-  return Number.isFinite(n) ? n : 0;
+function parseNumberCell(v) {
+  if (isBlank(v)) return { value: 0, ok: true };
+  if (typeof v === "number") return { value: v, ok: Number.isFinite(v) };
+  const n = Number(
+    String(v)
+      .replace(/[,\s₹]/g, "")
+      .replace(/^INR/i, "")
+  );
+  return Number.isFinite(n) ? { value: n, ok: true } : { value: 0, ok: false };
 }
 
-function parseExcel(buffer) {
-  const wb = XLSX.read(buffer, { type: "buffer" });
+const EXCHANGE_ALIASES = { NSE: "NSE", BSE: "BSE", BOM: "BSE" };
 
-  for (const sheetName of wb.SheetNames) {
-    const ws = wb.Sheets[sheetName];
-    const rows = XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: false });
-    if (!rows.length) continue;
+function splitSymbolCell(cell) {
+  const t = String(cell).trim();
+  let m = t.match(/^([A-Za-z]+):(.+)$/);
+  if (m) return { symbol: m[2], exchangeRaw: m[1] };
+  m = t.match(/^(.+)\.(NS|BO)$/i);
+  if (m) {
+    return {
+      symbol: m[1],
+      exchangeRaw: m[2].toUpperCase() === "NS" ? "NSE" : "BSE",
+    };
+  }
+  return { symbol: t, exchangeRaw: null };
+}
 
-    const found = findHeaderRow(rows);
-    if (!found) continue;
+function createReport() {
+  const report = { errors: [], warnings: [] };
+  const seen = new Map();
+  return {
+    report,
+    add(level, where, code, message, extra = {}) {
+      report[level].push({ ...where, code, message, ...extra });
+    },
+    checkDuplicate(where, key) {
+      const sheetKey = `${where.sheet}|${key}`;
+      if (seen.has(sheetKey)) {
+        report.warnings.push({
+          ...where,
+          code: "duplicate_symbol",
+          message: `${key} also appears in row ${seen.get(sheetKey)}`,
+          symbol: key,
+        });
+      } else {
+        seen.set(sheetKey, where.row);
+      }
+    },
+  };
+}
+
+function checkHolding(ctx, where, cells) {
+  const price = parseNumberCell(cells.price);
+  const qty = parseNumberCell(cells.qty);
+
+  if (!price.ok) {
+    ctx.add(
+      "errors",
+      where,
+      "invalid_price",
+      "Purchase price is not a number",
+      {
+        value: cells.price,
+      }
+    );
+  } else if (price.value < 0) {
+    ctx.add("errors", where, "negative_price", "Purchase price is negative", {
+      value: cells.price,
+    });
+  } else if (price.value === 0) {
+    ctx.add("warnings", where, "zero_price", "Purchase price is zero");
+  }
+
+  if (!qty.ok) {
+    ctx.add("errors", where, "invalid_qty", "Quantity is not a number", {
+      value: cells.qty,
+    });
+  } else if (qty.value < 0) {
+    ctx.add("errors", where, "negative_qty", "Quantity is negative", {
+      value: cells.qty,
+    });
+  } else if (qty.value === 0) {
+    ctx.add("warnings", where, "zero_qty", "Quantity is zero");
+  }
 
-    const { headerIndex, headerMap } = found;
-    const dataRows = rows.slice(headerIndex + 1);
+  let exchange = null;
+  if (!isBlank(cells.exchange)) {
+    exchange = EXCHANGE_ALIASES[String(cells.exchange).trim().toUpperCase()];
+    if (!exchange) {
+      ctx.add(
+        "errors",
+        where,
+        "unknown_exchange",
+        "Exchange must be NSE or BSE",
+        {
+          value: cells.exchange,
+        }
+      );
+    }
+  }
 
-    const parsed = [];
-    let currentSector = "Others";
+  return { price: price.value, qty: qty.value, exchange };
+}
 
-    for (const r of dataRows) {
-      if (!r || r.length === 0) continue;
+function skipRow(ctx, where, code, message) {
+  ctx.add("warnings", where, code, message);
+}
 
-      if (looksLikeSectionRow(r, headerMap)) {
-        currentSector = normalizeSectorName(r[headerMap.particulars]);
-        continue;
-      }
+function parseBrokerRows(rows, found, ctx, sheetName, firstRow) {
+  const { headerIndex, headerMap } = found;
+  const parsed = [];
+
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (!r || r.every(isBlank)) continue;
+    const where = { sheet: sheetName, row: firstRow + i };
+    const get = (k) => (headerMap[k] != null ? r[headerMap[k]] : undefined);
+
+    const name = get("particulars");
+    const isin = isIsin(get("isin")) ? cleanSym(get("isin")) : null;
+    const rawSymbol = cleanBrokerSymbol(
+      isBlank(get("symbol")) ? name : get("symbol")
+    );
+    if (isBlank(rawSymbol)) {
+      skipRow(ctx, where, "skipped_blank_name", "Row has no symbol or name");
+      continue;
+    }
+    if (/^total/i.test(rawSymbol)) {
+      skipRow(ctx, where, "skipped_total", "Total row skipped");
+      continue;
+    }
+    if (isBlank(get("qty")) && isBlank(get("avgCost"))) {
+      skipRow(ctx, where, "skipped_empty", "Row has no price or quantity");
+      continue;
+    }
 
-      const get = (k) => (headerMap[k] != null ? r[headerMap[k]] : undefined);
+    const cells = checkHolding(ctx, where, {
+      price: get("avgCost"),
+      qty: get("qty"),
+      exchange: get("exchange"),
+    });
+    let { symbol, exchange } = normalizeItemSymbolExchange({
+      symbol: isin && isBlank(get("symbol")) ? "" : rawSymbol,
+      isin,
+      exchange: cells.exchange,
+    });
+    if (!symbol) {
+      ctx.add(
+        "warnings",
+        where,
+        "unknown_isin",
+        `${isin} is not in the symbol table; using the name as symbol`
+      );
+      ({ symbol, exchange } = normalizeItemSymbolExchange({
+        symbol: rawSymbol,
+        exchange: cells.exchange,
+      }));
+    }
+    ctx.checkDuplicate(where, `${symbol}:${exchange}`);
+    const sector = get("sector");
+
+    parsed.push({
+      particulars: String(isBlank(name) ? rawSymbol : name).trim(),
+      symbol,
+      exchange,
+      purchasePrice: cells.price,
+      qty: cells.qty,
+      sector: normalizeSectorName(sector),
+      sectorSource: isBlank(sector) ? "default" : "workbook",
+      ...(isin ? { isin } : {}),
+    });
+  }
 
-      const particulars = get("particulars");
-      const price = get("purchasePrice");
-      const qty = get("qty");
-      const nseBseCell = get("nseBse");
+  return parsed;
+}
 
-      if (
-        isBlank(particulars) ||
-        /^total/i.test(String(particulars)) ||
-        (isBlank(price) && isBlank(qty))
-      ) {
-        continue;
-      }
+function parseNativeRows(rows, found, ctx, sheetName, firstRow) {
+  const { headerIndex, headerMap } = found;
+  const dataRows = rows.slice(headerIndex + 1);
 
-      const rawSymbol = !isBlank(nseBseCell)
-        ? String(nseBseCell).trim()
-        : String(particulars).trim();
+  const parsed = [];
+  let currentSector = null;
 
-      const exchangeGuess = isNumericSymbol(rawSymbol) ? "BSE" : "NSE";
-      const { symbol, exchange } = normalizeItemSymbolExchange({
-        symbol: rawSymbol,
-        exchange: exchangeGuess,
-      });
+  dataRows.forEach((r, i) => {
+    if (!r || r.every(isBlank)) return;
+    const where = { sheet: sheetName, row: firstRow + headerIndex + 1 + i };
 
-      parsed.push({
-        particulars: String(particulars).trim(),
-        symbol,
-        exchange,
-        purchasePrice: toNumber(price),
-        qty: toNumber(qty),
-        sector: normalizeSectorName(currentSector),
-      });
+    if (looksLikeSectionRow(r, headerMap)) {
+      currentSector = normalizeSectorName(r[headerMap.particulars]);
+      return;
     }
 
+    const get = (k) => (headerMap[k] != null ? r[headerMap[k]] : undefined);
+
+    const particulars = get("particulars");
+    const price = get("purchasePrice");
+    const qty = get("qty");
+    const nseBseCell = get("nseBse");
+    const isin = isIsin(get("isin")) ? cleanSym(get("isin")) : null;
+
+    if (isBlank(particulars)) {
+      skipRow(ctx, where, "skipped_blank_name", "Row has no name");
+      return;
+    }
+    if (/^total/i.test(String(particulars))) {
+      skipRow(ctx, where, "skipped_total", "Total row skipped");
+      return;
+    }
+    if (isBlank(price) && isBlank(qty)) {
+      skipRow(ctx, where, "skipped_empty", "Row has no price or quantity");
+      return;
+    }
+
+    let rawSymbol = String(particulars).trim();
+    let exchangeRaw = null;
+    if (!isBlank(nseBseCell)) {
+      const cell = String(nseBseCell).trim();
+      if (EXCHANGE_ALIASES[cell.toUpperCase()]) exchangeRaw = cell;
+      else ({ symbol: rawSymbol, exchangeRaw } = splitSymbolCell(cell));
+    }
+    if (!isBlank(get("exchange"))) exchangeRaw = String(get("exchange")).trim();
+
+    const cells = checkHolding(ctx, where, {
+      price,
+      qty,
+      exchange: exchangeRaw,
+    });
+    let { symbol, exchange } = normalizeItemSymbolExchange({
+      symbol: isin && isBlank(nseBseCell) ? "" : rawSymbol,
+      isin,
+      exchange: cells.exchange,
+    });
+    if (!symbol) {
+      ctx.add(
+        "warnings",
+        where,
+        "unknown_isin",
+        `${isin} is not in the symbol table; using the name as symbol`
+      );
+      ({ symbol, exchange } = normalizeItemSymbolExchange({
+        symbol: rawSymbol,
+        exchange: cells.exchange,
+      }));
+    }
+    ctx.checkDuplicate(where, `${symbol}:${exchange}`);
+
+    parsed.push({
+      particulars: String(particulars).trim(),
+      symbol,
+      exchange,
+      purchasePrice: cells.price,
+      qty: cells.qty,
+      sector: normalizeSectorName(currentSector),
+      sectorSource: currentSector ? "workbook" : "default",
+      ...(isin ? { isin } : {}),
+    });
+    if (headerMap.purchaseDate != null) {
+      parsed[parsed.length - 1].purchaseDate = toIsoDate(get("purchaseDate"));
+    }
+  });
+
+  return parsed;
+}
+
+function parseSheet(ws, sheetName, ctx, mapping) {
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: true });
+  if (!rows.length) return null;
+  const firstRow = ws["!ref"] ? XLSX.utils.decode_range(ws["!ref"]).s.r + 1 : 1;
+
+  const found = findHeaderRow(rows, {
+    columns: mapping?.columns,
+    headerIndex: mapping?.headerRow ? mapping.headerRow - firstRow : null,
+  });
+  if (found) {
+    return {
+      rows: parseNativeRows(rows, found, ctx, sheetName, firstRow),
+      meta: {
+        sheetName,
+        format: "native",
+        headerIndex: found.headerIndex,
+        headerMap: found.headerMap,
+      },
+    };
+  }
+
+  if (mapping) return null;
+  const broker = detectBrokerFormat(rows);
+  if (!broker) return null;
+  return {
+    rows: parseBrokerRows(rows, broker, ctx, sheetName, firstRow),
+    meta: {
+      sheetName,
+      format: broker.format.id,
+      formatName: broker.format.name,
+      headerIndex: broker.headerIndex,
+      headerMap: broker.headerMap,
+    },
+  };
+}
+
+function parseExcel(buffer, { mapping } = {}) {
+  const wb = XLSX.read(buffer, { type: "buffer", raw: true });
+  const ctx = createReport();
+
+  const accounts = [];
+  for (const sheetName of wb.SheetNames) {
+    const sheet = parseSheet(wb.Sheets[sheetName], sheetName, ctx, mapping);
+    if (!sheet || !sheet.rows.length) continue;
+    accounts.push({
+      account: sheetName,
+      rows: sheet.rows.map((r) => ({ ...r, account: sheetName })),
+      meta: sheet.meta,
+    });
+  }
+
+  if (!accounts.length) {
     return {
-      rows: parsed,
-      meta: { sheetName, headerIndex, headerMap },
+      rows: [],
+      accounts,
+      validation: ctx.report,
+      meta: {
+        reason: mapping
+          ? "no_sheet_matching_column_mapping"
+          : "no_sheet_with_valid_header",
+      },
     };
   }
 
-  return { rows: [], meta: { reason: "no_sheet_with_valid_header" } };
+  return {
+    rows: accounts.flatMap((a) => a.rows),
+    accounts,
+    validation: ctx.report,
+    meta: { ...accounts[0].meta, sheets: accounts.map((a) => a.meta) },
+  };
+}
+
+function consolidateRows(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const { symbol, exchange } = normalizeItemSymbolExchange(r);
+    const key = instrumentKey(r);
+    let c = byKey.get(key);
+    if (!c) {
+      c = { ...r, symbol, exchange, qty: 0, cost: 0, accounts: [] };
+      delete c.account;
+      byKey.set(key, c);
+    }
+    if (c.sectorSource !== "workbook" && r.sectorSource === "workbook") {
+      c.sector = r.sector;
+      c.sectorSource = r.sectorSource;
+    }
+    c.qty += r.qty || 0;
+    c.cost += (r.purchasePrice || 0) * (r.qty || 0);
+    c.accounts.push({
+      account: r.account ?? null,
+      qty: r.qty,
+      purchasePrice: r.purchasePrice,
+    });
+  }
+
+  return Array.from(byKey.values()).map(({ cost, ...c }) => ({
+    ...c,
+    purchasePrice: c.qty ? cost / c.qty : 0,
+  }));
+}
+
+function normalizeTransactionHeader(raw) {
+  const h = String(raw || "")
+    .trim()
+    .toLowerCase();
+
+  if (/date/.test(h)) return "date";
+  if (["type", "action", "side", "transaction type", "trade type"].includes(h))
+    return "type";
+  if (["symbol", "scrip", "ticker", "instrument", "code"].includes(h))
+    return "symbol";
+  if (["particulars", "stock name", "name", "company"].includes(h))
+    return "particulars";
+  if (h.includes("exchange") || h === "nse/bse") return "exchange";
+  if (h === "qty" || h === "quantity" || h === "units") return "qty";
+  if (h === "price" || h === "rate" || /trade.*price/.test(h)) return "price";
+  if (h === "amount" || h === "value" || h === "net amount") return "amount";
+  if (/fee|charge|brokerage/.test(h)) return "fees";
+  if (/fmv|fair market/.test(h)) return "fmv";
+  if (h === "sector") return "sector";
+
+  return null;
+}
+
+function parseTransactions(buffer) {
+  const wb = XLSX.read(buffer, { type: "buffer", raw: true });
+
+  for (const sheetName of wb.SheetNames) {
+    const ws = wb.Sheets[sheetName];
+    const rows = XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: false });
+
+    for (let r = 0; r < Math.min(rows.length, 30); r++) {
+      const map = {};
+      (rows[r] || []).forEach((cell, idx) => {
+        const k = normalizeTransactionHeader(cell);
+        if (k && map[k] == null) map[k] = idx;
+      });
+      if (map.date == null || map.type == null) continue;
+      if (map.symbol == null && map.particulars == null) continue;
+
+      const transactions = [];
+      for (const row of rows.slice(r + 1)) {
+        if (!row || row.every(isBlank)) continue;
+        const tx = {};
+        for (const [k, idx] of Object.entries(map)) {
+          if (!isBlank(row[idx])) tx[k] = row[idx];
+        }
+        if (tx.symbol == null) tx.symbol = tx.particulars;
+        if (tx.sector != null) tx.sector = normalizeSectorName(tx.sector);
+        transactions.push(tx);
+      }
+
+      return {
+        transactions,
+        meta: { sheetName, headerIndex: r, headerMap: map },
+      };
+    }
+  }
+
+  return {
+    transactions: [],
+    meta: { reason: "no_sheet_with_transaction_header" },
+  };
 }
 
 function transformRows(rows) {
   const cleaned = rows.map((r) => {
     const investment = (r.purchasePrice || 0) * (r.qty || 0);
     const sector = normalizeSectorName(r.sector);
-    return { ...r, sector, investment };
+    const sectorSource = r.sectorSource || (r.sector ? "provided" : "default");
+    return { ...r, sector, sectorSource, investment };
   });
 
   const totalInvestment = cleaned.reduce(
@@ -228,4 +618,10 @@ function transformRows(rows) {
   };
 }
 
-module.exports = { parseExcel, transformRows };
+module.exports = {
+  MAPPABLE_FIELDS,
+  parseExcel,
+  consolidateRows,
+  parseTransactions,
+  transformRows,
+};
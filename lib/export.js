@@ -0,0 +1,168 @@
+const XLSX = require("xlsx");
+
+const HEADERS = [
+  "Particulars",
+  "Purchase Price",
+  "Qty",
+  "NSE/BSE",
+  "Exchange",
+  "Purchase Date",
+  "Investment",
+  "Portfolio %",
+  "CMP",
+  "Present Value",
+  "Gain/Loss",
+  "Return %",
+  "P/E",
+  "Latest Earnings",
+];
+
+const MONEY_COLS = [
+  "Purchase Price",
+  "Investment",
+  "CMP",
+  "Present Value",
+  "Gain/Loss",
+  "Latest Earnings",
+];
+const PCT_COLS = ["Portfolio %", "Return %", "P/E"];
+
+function cell(v) {
+  return v == null || (typeof v === "number" && !Number.isFinite(v)) ? "" : v;
+}
+
+function round(v, digits = 2) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+function holdingRow(h, totalInvestment) {
+  return [
+    h.particulars,
+    h.purchasePrice,
+    h.qty,
+    h.symbol,
+    h.exchange,
+    h.purchaseDate || "",
+    round(h.investment),
+    round(totalInvestment ? (h.investment / totalInvestment) * 100 : null),
+    round(h.cmp),
+    round(h.presentValue),
+    round(h.gainLoss),
+    round(h.gainLossPct),
+    round(h.pe),
+    round(h.latestEarnings),
+  ].map(cell);
+}
+
+function subtotalRow(label, s) {
+  const row = new Array(HEADERS.length).fill("");
+  row[0] = label;
+  row[HEADERS.indexOf("Investment")] = cell(round(s.totalInvestment));
+  row[HEADERS.indexOf("Present Value")] = cell(round(s.presentValue));
+  row[HEADERS.indexOf("Gain/Loss")] = cell(round(s.gainLoss));
+  row[HEADERS.indexOf("Return %")] = cell(round(s.gainLossPct));
+  return row;
+}
+
+function applyFormats(ws) {
+  const range = XLSX.utils.decode_range(ws["!ref"]);
+  const formats = new Map();
+  MONEY_COLS.forEach((h) => formats.set(HEADERS.indexOf(h), "#,##0.00"));
+  PCT_COLS.forEach((h) => formats.set(HEADERS.indexOf(h), "0.00"));
+
+  for (let r = range.s.r + 1; r <= range.e.r; r++) {
+    for (const [c, z] of formats) {
+      const ref = XLSX.utils.encode_cell({ r, c });
+      if (ws[ref] && ws[ref].t === "n") ws[ref].z = z;
+    }
+  }
+  ws["!cols"] = HEADERS.map((h, i) => ({ wch: i === 0 ? 28 : h.length + 4 }));
+}
+
+function portfolioSheet(valuation) {
+  const aoa = [HEADERS];
+  for (const s of valuation.sectors) {
+    aoa.push([s.sector]);
+    for (const h of s.holdings) {
+      aoa.push(holdingRow(h, valuation.totalInvestment));
+    }
+    aoa.push(subtotalRow(`Total ${s.sector}`, s));
+  }
+  aoa.push([]);
+  aoa.push(
+    subtotalRow("Total Portfolio", {
+      totalInvestment: valuation.totalInvestment,
+      presentValue: valuation.totalPresentValue,
+      gainLoss: valuation.totalGainLoss,
+      gainLossPct: valuation.totalGainLossPct,
+    })
+  );
+
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  applyFormats(ws);
+  return ws;
+}
+
+function summarySheet(valuation, { name }) {
+  const aoa = [
+    ["Portfolio", name || "Portfolio"],
+    ["Generated", new Date(valuation.ts || Date.now()).toISOString()],
+    ["Total Investment", cell(round(valuation.totalInvestment))],
+    ["Total Present Value", cell(round(valuation.totalPresentValue))],
+    ["Total Gain/Loss", cell(round(valuation.totalGainLoss))],
+    ["Return %", cell(round(valuation.totalGainLossPct))],
+    ["Priced Holdings", valuation.pricedCount],
+    ["Unpriced Holdings", valuation.unpricedCount],
+    [],
+    [
+      "Sector",
+      "Holdings",
+      "Investment",
+      "Present Value",
+      "Gain/Loss",
+      "Return %",
+      "Weight %",
+    ],
+    ...valuation.sectors.map((s) =>
+      [
+        s.sector,
+        s.holdings.length,
+        round(s.totalInvestment),
+        round(s.presentValue),
+        round(s.gainLoss),
+        round(s.gainLossPct),
+        round(
+          valuation.totalInvestment
+            ? (s.totalInvestment / valuation.totalInvestment) * 100
+            : null
+        ),
+      ].map(cell)
+    ),
+  ];
+
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  ws["!cols"] = [{ wch: 22 }, { wch: 26 }, ...new Array(5).fill({ wch: 14 })];
+  return ws;
+}
+
+function buildPortfolioWorkbook(valuation, { name } = {}) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, portfolioSheet(valuation), "Portfolio");
+  XLSX.utils.book_append_sheet(
+    wb,
+    summarySheet(valuation, { name }),
+    "Summary"
+  );
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+function exportFileName(name) {
+  const base = String(name || "portfolio")
+    .replace(/[^\w.-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${base || "portfolio"}.xlsx`;
+}
+
+module.exports = { buildPortfolioWorkbook, exportFileName };
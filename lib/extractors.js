@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { parseIndianNumber } = require("./units");
+
+const FIXTURES_DIR =
+  process.env.SCRAPER_FIXTURES_DIR ||
+  path.join(__dirname, "..", "fixtures", "google");
+const STATS_WINDOW = Number(process.env.SCRAPER_STATS_WINDOW || 100);
+const DEGRADED_BELOW = 0.5;
+const MIN_SAMPLES = 5;
+
+const extractors = new Map();
+
+function pageContext(html) {
+  let $;
+  return {
+    html,
+    get $() {
+      return ($ ||= cheerio.load(html));
+    },
+  };
+}
+
+function valueText(text) {
+  const t = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return t && t.length <= 60 && parseIndianNumber(t) != null ? t : null;
+}
+
+const labelSet = (labels) => new Set(labels.map((s) => s.toLowerCase()));
+const isLabel = (wanted, t) =>
+  wanted.has(
+    String(t || "")
+      .trim()
+      .toLowerCase()
+  );
+
+function rowStrategy(labels) {
+  const wanted = labelSet(labels);
+  return ({ $ }) => {
+    for (const row of $(".gyFHrc").toArray()) {
+      if (!isLabel(wanted, $(row).find(".mfs7Fc").first().text())) continue;
+      const val = valueText($(row).find(".P6K39c").first().text());
+      if (val) return val;
+    }
+    return null;
+  };
+}
+
+function textScanStrategy(labels) {
+  const wanted = labelSet(labels);
+  return ({ $ }) => {
+    const texts = $("span,div,td")
+      .map((_i, n) => $(n).text().trim())
+      .get();
+    for (let i = 0; i < texts.length; i++) {
+      if (!isLabel(wanted, texts[i])) continue;
+      for (let j = i + 1; j < Math.min(i + 10, texts.length); j++) {
+        const val = valueText(texts[j]);
+        if (val) return val;
+      }
+    }
+    return null;
+  };
+}
+
+function siblingStrategy(labels) {
+  const wanted = labelSet(labels);
+  return ({ $ }) => {
+    const nodes = $("span,div,td").filter((_i, el) =>
+      isLabel(wanted, $(el).text())
+    );
+    for (const el of nodes.toArray()) {
+      let cur = $(el).next();
+      for (let k = 0; k < 8 && cur && cur.length; k++) {
+        const val = valueText(cur.text());
+        if (val) return val;
+        cur = cur.next();
+      }
+    }
+    return null;
+  };
+}
+
+function labelStrategies(labels) {
+  return [
+    { version: "v3-stat-rows", extract: rowStrategy(labels) },
+    { version: "v2-text-scan", extract: textScanStrategy(labels) },
+    { version: "v1-next-sibling", extract: siblingStrategy(labels) },
+  ];
+}
+
+function regexStrategy(rx) {
+  return ({ html }) => html.match(rx)?.[1] || null;
+}
+
+function defineExtractor(name, strategies) {
+  extractors.set(name, {
+    name,
+    strategies,
+    attempts: 0,
+    successes: 0,
+    recent: [],
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+  });
+}
+
+const FUNDAMENTAL_LABELS = {
+  pe: [
+    "P/E ratio",
+    "P/E ratio (TTM)",
+    "Price to earnings ratio",
+    "Price-to-earnings ratio",
+  ],
+  latestEarnings: [
+    "Earnings per share",
+    "EPS (TTM)",
+    "Diluted EPS (TTM)",
+    "EPS",
+  ],
+  marketCap: ["Market cap"],
+  dividendYield: ["Dividend yield"],
+  yearRange: ["Year range", "52-week range"],
+  dayRange: ["Day range"],
+  previousClose: ["Previous close"],
+  avgVolume: ["Avg Volume", "Average volume"],
+};
+
+for (const [key, labels] of Object.entries(FUNDAMENTAL_LABELS)) {
+  defineExtractor(`google.fundamentals.${key}`, labelStrategies(labels));
+}
+
+defineExtractor("google.price.cmp", [
+  {
+    version: "v2-data-last-price",
+    extract: regexStrategy(
+      /(?:data-last-price|data-last-price-hist)\s*=\s*"([^"]+)"/i
+    ),
+  },
+  {
+    version: "v1-YMlKec",
+    extract: regexStrategy(
+      /<div[^>]+class="[^"]*\bYMlKec\b[^"]*"[^>]*>\s*([^<]+?)\s*<\/div>/i
+    ),
+  },
+]);
+
+defineExtractor("google.price.ticker", [
+  {
+    version: "v2-itemprop",
+    extract: regexStrategy(
+      /itemprop="tickerSymbol"\s+content="([A-Z0-9.-]+:[A-Z]{2,3})"/i
+    ),
+  },
+  {
+    version: "v1-title",
+    extract: regexStrategy(
+      /<title>\s*([A-Z0-9.-]+:[A-Z]{2,3})\s*-\s*Google Finance\s*<\/title>/i
+    ),
+  },
+]);
+
+function tryStrategies(ex, page) {
+  let error = null;
+  for (const s of ex.strategies) {
+    try {
+      const value = s.extract(page);
+      if (value != null) return { value, strategy: s.version, error: null };
+    } catch (err) {
+      error = err?.message || String(err);
+    }
+  }
+  return { value: null, strategy: null, error };
+}
+
+function record(ex, { value, strategy, error }) {
+  const now = Date.now();
+  const ok = value != null;
+  ex.attempts += 1;
+  if (ok) {
+    ex.successes += 1;
+    ex.lastSuccessAt = now;
+  } else {
+    ex.lastFailureAt = now;
+    if (error) ex.lastError = error;
+  }
+  ex.recent.push({ ok, strategy, ts: now });
+  if (ex.recent.length > STATS_WINDOW) ex.recent.shift();
+}
+
+function runExtractor(name, page) {
+  const ex = extractors.get(name);
+  if (!ex) throw new Error(`Unknown extractor: ${name}`);
+  const out = tryStrategies(ex, page);
+  record(ex, out);
+  return out;
+}
+
+function extractorStats() {
+  return Array.from(extractors.values()).map((ex) => {
+    const ok = ex.recent.filter((r) => r.ok);
+    const matched = {};
+    for (const s of ex.strategies) matched[s.version] = 0;
+    for (const r of ok) matched[r.strategy] += 1;
+    const successRate = ex.recent.length ? ok.length / ex.recent.length : null;
+    const primary = ex.strategies[0].version;
+
+    return {
+      name: ex.name,
+      strategies: ex.strategies.map((s) => s.version),
+      attempts: ex.attempts,
+      successes: ex.successes,
+      failures: ex.attempts - ex.successes,
+      recent: {
+        window: ex.recent.length,
+        successRate,
+        failureRate: successRate == null ? null : 1 - successRate,
+        fallbackRate: ok.length
+          ? (ok.length - matched[primary]) / ok.length
+          : null,
+        matched,
+      },
+      lastStrategy: ok.length ? ok[ok.length - 1].strategy : null,
+      degraded: ex.recent.length >= MIN_SAMPLES && successRate < DEGRADED_BELOW,
+      lastSuccessAt: ex.lastSuccessAt,
+      lastFailureAt: ex.lastFailureAt,
+      lastError: ex.lastError,
+    };
+  });
+}
+
+function previewExtractors(page) {
+  const out = {};
+  for (const ex of extractors.values()) {
+    out[ex.name] = tryStrategies(ex, page).value;
+  }
+  return out;
+}
+
+// Scripts, styles and inline SVG are dropped from captured pages; the markup
+// the extractors read (classes, data-last-price, itemprop, <title>) is kept.
+function trimCapturedHtml(html) {
+  const $ = cheerio.load(html);
+  $("script,style,noscript,svg,iframe,link").remove();
+  $("*")
+    .contents()
+    .filter((_i, n) => n.type === "comment")
+    .remove();
+  return $.html();
+}
+
+function runFixtures() {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(FIXTURES_DIR, "manifest.json"), "utf8")
+  );
+
+  return manifest.fixtures.map((f) => {
+    const page = pageContext(
+      fs.readFileSync(path.join(FIXTURES_DIR, f.file), "utf8")
+    );
+    const checks = Object.entries(f.expect).map(([name, expected]) => {
+      const ex = extractors.get(name);
+      if (!ex) {
+        return { name, expected, pass: false, error: "Unknown extractor" };
+      }
+      const { value, strategy } = tryStrategies(ex, page);
+      const strategies = {};
+      for (const s of ex.strategies) {
+        strategies[s.version] = tryStrategies({ strategies: [s] }, page).value;
+      }
+      return {
+        name,
+        expected,
+        value,
+        strategy,
+        strategies,
+        pass: value === expected,
+      };
+    });
+    return {
+      file: f.file,
+      source: f.source || "captured",
+      capturedAt: f.capturedAt || null,
+      description: f.description || null,
+      pass: checks.every((c) => c.pass),
+      checks,
+    };
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  FUNDAMENTAL_LABELS,
+  pageContext,
+  runExtractor,
+  previewExtractors,
+  trimCapturedHtml,
+  extractorStats,
+  runFixtures,
+};
@@ -0,0 +1,229 @@
+const {
+  fundamentalsBySymbol,
+  keyStatsCache,
+  symbolResolveCache,
+  lookupCached,
+  readThrough,
+  peekStale,
+  staleMeta,
+} = require("./cache");
+const { scrapeFundamentals } = require("./scrape");
+const {
+  isNumericSymbol,
+  normalizeItemSymbolExchange,
+  cleanSym,
+} = require("./symbols");
+const { resolveBseNumericToYahooSymbol, getKeyStatistics } = require("./yahoo");
+const { parseMetric, unitFor } = require("./units");
+const { withTimeout } = require("./timeout");
+
+async function normalizeForGoogle(item) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+
+  if (exchange === "BSE") {
+    const raw = cleanSym(symbol);
+    if (isNumericSymbol(raw)) {
+      const cached = await readThrough(symbolResolveCache, raw);
+      if (cached) return cached;
+      try {
+        const yahooSym = await withTimeout(
+          resolveBseNumericToYahooSymbol(raw),
+          3000,
+          "resolve timeout"
+        );
+        const secId = yahooSym.replace(/\.BO$/i, "");
+        const out = { symbol: cleanSym(secId), exchange: "BOM" };
+        symbolResolveCache.set(raw, out);
+        return out;
+      } catch {
+        const out = { symbol: cleanSym(raw), exchange: "BOM" };
+        symbolResolveCache.set(raw, out);
+        return out;
+      }
+    }
+    return { symbol: cleanSym(raw), exchange: "BOM" };
+  }
+  return { symbol: cleanSym(symbol), exchange: "NSE" };
+}
+
+const pctOf = (v) => (v == null ? null : v * 100);
+
+const FIELDS = {
+  pe: { kind: "ratio", yahoo: (s) => s.summaryDetail?.trailingPE },
+  latestEarnings: {
+    kind: "currency",
+    yahoo: (s) => s.defaultKeyStatistics?.trailingEps,
+  },
+  marketCap: {
+    kind: "currency",
+    yahoo: (s) => s.price?.marketCap ?? s.summaryDetail?.marketCap,
+  },
+  dividendYield: {
+    kind: "percent",
+    yahoo: (s) => pctOf(s.summaryDetail?.dividendYield),
+  },
+  yearRange: {
+    kind: "range",
+    yahoo: (s) => [
+      s.summaryDetail?.fiftyTwoWeekLow,
+      s.summaryDetail?.fiftyTwoWeekHigh,
+    ],
+  },
+  dayRange: {
+    kind: "range",
+    yahoo: (s) => [s.summaryDetail?.dayLow, s.summaryDetail?.dayHigh],
+  },
+  previousClose: {
+    kind: "currency",
+    yahoo: (s) => s.summaryDetail?.previousClose,
+  },
+  avgVolume: { kind: "count", yahoo: (s) => s.summaryDetail?.averageVolume },
+  bookValue: {
+    kind: "currency",
+    yahoo: (s) => s.defaultKeyStatistics?.bookValue,
+  },
+  priceToBook: {
+    kind: "ratio",
+    yahoo: (s) => s.defaultKeyStatistics?.priceToBook,
+  },
+  roe: {
+    kind: "percent",
+    yahoo: (s) => pctOf(s.financialData?.returnOnEquity),
+  },
+  debtToEquity: {
+    kind: "percent",
+    yahoo: (s) => s.financialData?.debtToEquity,
+  },
+};
+
+const FUNDAMENTAL_FIELDS = Object.keys(FIELDS);
+
+function parseFields(input) {
+  if (input == null || input === "") return [];
+  const list = (Array.isArray(input) ? input : String(input).split(","))
+    .map((f) => String(f).trim())
+    .filter(Boolean);
+  const unknown = list.filter((f) => !FIELDS[f]);
+  if (unknown.length) {
+    const err = new Error(
+      `Unknown fields: ${unknown.join(
+        ", "
+      )}. Supported: ${FUNDAMENTAL_FIELDS.join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return Array.from(new Set(list));
+}
+
+function googleMetric(scraped, field) {
+  const { kind } = FIELDS[field];
+  if (field === "pe" || field === "latestEarnings") {
+    const value = scraped[field];
+    return value == null ? null : { value, unit: unitFor(kind) };
+  }
+  return parseMetric(scraped.metrics?.[field], kind);
+}
+
+function yahooMetric(stats, field) {
+  const { kind, yahoo } = FIELDS[field];
+  const v = yahoo(stats);
+  const currency = stats?.price?.currency || "INR";
+  if (kind === "range") {
+    const [low, high] = v;
+    return low != null && high != null ? { low, high, unit: currency } : null;
+  }
+  if (v == null || !Number.isFinite(v)) return null;
+  return { value: v, unit: unitFor(kind, currency) };
+}
+
+async function loadKeyStatistics(g, timeoutMs) {
+  const sym = `${g.symbol}.${g.exchange === "BOM" ? "BO" : "NS"}`;
+  const { value } = await withTimeout(
+    lookupCached(keyStatsCache, sym, async () => ({
+      ...(await getKeyStatistics(sym)),
+      ts: Date.now(),
+    })),
+    timeoutMs,
+    "quote summary timeout"
+  );
+  return value || {};
+}
+
+async function scrapeCached(g, timeoutMs) {
+  const key = `${g.symbol}:${g.exchange}`;
+  try {
+    const { value, ...meta } = await withTimeout(
+      lookupCached(fundamentalsBySymbol, key, () =>
+        scrapeFundamentals(g.symbol, g.exchange)
+      ),
+      timeoutMs,
+      "scrape timeout"
+    );
+    return { ok: true, ...value, ...meta };
+  } catch (err) {
+    const stale = peekStale(fundamentalsBySymbol, key);
+    if (stale) {
+      return {
+        ok: true,
+        ...stale,
+        ...staleMeta(stale, err?.message || String(err)),
+      };
+    }
+    return {
+      ok: false,
+      symbol: g.symbol,
+      exchange: g.exchange,
+      pe: null,
+      latestEarnings: null,
+      error: err?.message || String(err),
+      cache: "miss",
+      ts: Date.now(),
+    };
+  }
+}
+
+async function loadFundamentals(g, timeoutMs = 6000, fields = []) {
+  const scraped = await scrapeCached(g, timeoutMs);
+  const out = { ...scraped };
+  delete out.metrics;
+  if (!fields.length) return out;
+
+  const found = {};
+  const missing = [];
+  for (const f of fields) {
+    const m = scraped.ok ? googleMetric(scraped, f) : null;
+    if (m) found[f] = { ...m, source: "google" };
+    else missing.push(f);
+  }
+
+  if (missing.length) {
+    try {
+      const stats = await loadKeyStatistics(g, timeoutMs);
+      for (const f of missing) {
+        const m = yahooMetric(stats, f);
+        if (m) found[f] = { ...m, source: "yahoo" };
+      }
+    } catch (err) {
+      out.metricsError = err?.message || String(err);
+    }
+  }
+
+  const metrics = Object.fromEntries(fields.map((f) => [f, found[f] || null]));
+  return {
+    ...out,
+    ok: out.ok || Object.values(metrics).some(Boolean),
+    metrics,
+  };
+}
+
+async function fetchFundamentals(item, timeoutMs = 6000, fields = []) {
+  return loadFundamentals(await normalizeForGoogle(item), timeoutMs, fields);
+}
+module.exports = {
+  FUNDAMENTAL_FIELDS,
+  parseFields,
+  normalizeForGoogle,
+  loadFundamentals,
+  fetchFundamentals,
+};
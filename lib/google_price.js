@@ -1,18 +1,14 @@
 const { LRUCache } = require("lru-cache");
+const { lookupCached, marketAware, namespaced } = require("./cache");
 const { request } = require("undici");
 const { toGooglePath, normalizeItemSymbolExchange } = require("./symbols");
+const { pageContext, runExtractor } = require("./extractors");
+const { withBreaker, hostOf, checkResponse } = require("./breaker");
 
-const gCache = new LRUCache({ max: 500, ttl: 20_000 });
-
-const RX_PRICE_BY_CLASS =
-  /<div[^>]+class="[^"]*\bYMlKec\b[^"]*"[^>]*>\s*([^<]+?)\s*<\/div>/i;
-const RX_PRICE_BY_ATTR =
-  /(?:data-last-price|data-last-price-hist)\s*=\s*"([^"]+)"/i;
-
-const RX_TICKER_META =
-  /itemprop="tickerSymbol"\s+content="([A-Z0-9.-]+:[A-Z]{2,3})"/i;
-const RX_TICKER_TITLE =
-  /<title>\s*([A-Z0-9.-]+:[A-Z]{2,3})\s*-\s*Google Finance\s*<\/title>/i;
+const gCache = namespaced(
+  "google-prices",
+  marketAware(new LRUCache({ max: 500, ttl: 20_000 }))
+);
 
 function normNum(str) {
   if (!str) return null;
@@ -39,14 +35,15 @@ function tickersRoughlyMatch(requested, observed) {
 }
 
 async function fetchHtml(url) {
-  const { body } = await request(url, {
+  const res = await request(url, {
     headers: {
       "user-agent":
         "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome Safari",
       accept: "text/html,application/xhtml+xml",
     },
   });
-  return body.text();
+  await checkResponse(res, url);
+  return res.body.text();
 }
 
 async function fetchGoogleCmp(symbolOrItem, exchangeMaybe) {
@@ -66,48 +63,46 @@ async function fetchGoogleCmp(symbolOrItem, exchangeMaybe) {
     path
   )}`;
 
-  const cached = gCache.get(path);
-  if (cached) return cached;
+  const { value, ...meta } = await lookupCached(gCache, path, () =>
+    loadGoogleCmp(path, url)
+  );
+  return { ...value, ...meta };
+}
 
-  const html = await fetchHtml(url);
+async function loadGoogleCmp(path, url) {
+  const html = await withBreaker(hostOf(url), () => fetchHtml(url));
 
-  const observedTicker =
-    html.match(RX_TICKER_META)?.[1] || html.match(RX_TICKER_TITLE)?.[1] || "";
+  const page = pageContext(html);
+  const observedTicker = runExtractor("google.price.ticker", page).value || "";
 
   if (observedTicker && !tickersRoughlyMatch(path, observedTicker)) {
-    const res = {
+    return {
       ok: false,
       symbol: path.toUpperCase(),
       price: null,
       currency: null,
       source: "google",
       url,
+      ts: Date.now(),
       error: `Ticker mismatch: requested ${path} but page shows ${observedTicker}`,
     };
-    gCache.set(path, res);
-    return res;
   }
 
-  let raw =
-    html.match(RX_PRICE_BY_ATTR)?.[1] ||
-    html.match(RX_PRICE_BY_CLASS)?.[1] ||
-    null;
+  let raw = runExtractor("google.price.cmp", page).value;
 
   if (raw) raw = raw.replace(/\u00A0|\u2009|\u202F/g, "");
 
   const price = normNum(raw);
 
-  const res = {
+  return {
     ok: price != null,
     symbol: (observedTicker || path).toUpperCase(),
     price: price ?? null,
     currency: price != null ? "INR" : null,
     source: "google",
     url,
+    ts: Date.now(),
   };
-
-  gCache.set(path, res);
-  return res;
 }
 
 module.exports = { fetchGoogleCmp };
@@ -0,0 +1,201 @@
+const YahooFinance = require("yahoo-finance2").default;
+const Bottleneck = require("bottleneck");
+const { historyCache, readThrough, peekStale, staleMeta } = require("./cache");
+const {
+  normalizeItemSymbolExchange,
+  isNumericSymbol,
+  toYahoo,
+} = require("./symbols");
+const { resolveBseNumericToYahooSymbol } = require("./yahoo");
+const { withTimeout } = require("./timeout");
+const { toIsoDate, addDays, todayIso } = require("./dates");
+const { marketTtl, lastClose, istDate } = require("./market");
+const { withBreaker, YAHOO_HOST } = require("./breaker");
+
+const yahooFinance = new YahooFinance();
+const limiter = new Bottleneck({ minTime: 250, maxConcurrent: 4 });
+
+const INTERVALS = [
+  "1m",
+  "2m",
+  "5m",
+  "15m",
+  "30m",
+  "60m",
+  "90m",
+  "1h",
+  "1d",
+  "5d",
+  "1wk",
+  "1mo",
+  "3mo",
+];
+
+const RANGE_DAYS = {
+  "1d": 1,
+  "5d": 5,
+  "1mo": 31,
+  "3mo": 92,
+  "6mo": 183,
+  "1y": 366,
+  "2y": 731,
+  "5y": 1827,
+  "10y": 3653,
+};
+
+const INTRADAY_TTL = 60_000;
+const LIVE_DAILY_TTL = 5 * 60_000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function rangeStart(range, to) {
+  if (range === "ytd") return `${to.slice(0, 4)}-01-01`;
+  if (range === "max") return "1990-01-01";
+  const days = RANGE_DAYS[range];
+  if (!days) throw badRequest(`Unsupported range: ${range}`);
+  return addDays(to, -days);
+}
+
+async function resolveYahooSymbol(item) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  if (symbol.startsWith("^") || /\.(NS|BO)$/.test(symbol)) return symbol;
+  if (exchange === "BSE" && isNumericSymbol(symbol)) {
+    return withTimeout(
+      resolveBseNumericToYahooSymbol(symbol),
+      8000,
+      "resolve timeout"
+    );
+  }
+  return toYahoo(symbol, exchange);
+}
+
+function toBars(quotes) {
+  return (quotes || [])
+    .filter((q) => q && q.close != null)
+    .map((q) => ({
+      date: new Date(q.date).toISOString(),
+      open: q.open ?? null,
+      high: q.high ?? null,
+      low: q.low ?? null,
+      close: q.close,
+      adjClose: q.adjclose ?? q.close,
+      volume: q.volume ?? null,
+    }));
+}
+
+// Bars up to the last completed session never change, so they are cached on
+// their own (keyed by that session's date) and only the live tail expires.
+function settledThrough(interval, end) {
+  if (interval !== "1d" && !/[mh]$/.test(interval)) return null;
+  const close = lastClose();
+  if (close == null) return null;
+  const day = istDate(close);
+  return day < end ? day : end;
+}
+
+async function loadChart(yahooSymbol, interval, start, end, ttl) {
+  const key = `${yahooSymbol}:${interval}:${start}:${end}`;
+  const fresh = await readThrough(historyCache, key);
+  if (fresh) return { ...fresh, cache: "hit" };
+  const cached = peekStale(historyCache, key);
+
+  let chart;
+  try {
+    chart = await withBreaker(YAHOO_HOST, () =>
+      limiter.schedule(() =>
+        yahooFinance.chart(yahooSymbol, {
+          period1: start,
+          period2: addDays(end, 1),
+          interval,
+        })
+      )
+    );
+  } catch (err) {
+    if (!cached) throw err;
+    return { ...cached, ...staleMeta(cached, err?.message || String(err)) };
+  }
+
+  const out = {
+    currency: chart?.meta?.currency ?? null,
+    bars: toBars(chart?.quotes),
+    ts: Date.now(),
+  };
+  historyCache.set(key, out, ttl ? { ttl } : undefined);
+  return out;
+}
+
+function mergeParts(parts) {
+  const bars = new Map();
+  for (const p of parts) for (const b of p.bars) bars.set(b.date, b);
+  const last = parts[parts.length - 1];
+  const stale = parts.find((p) => p.stale);
+  return {
+    currency: last.currency ?? parts[0].currency,
+    bars: Array.from(bars.values()),
+    ts: last.ts,
+    ...(parts.every((p) => p.cache === "hit") ? { cache: "hit" } : {}),
+    ...(stale
+      ? {
+          cache: "stale",
+          stale: true,
+          age: stale.age,
+          staleReason: stale.staleReason,
+        }
+      : {}),
+  };
+}
+
+async function getHistory({
+  symbol,
+  exchange,
+  range = "1y",
+  interval = "1d",
+  from,
+  to,
+}) {
+  if (!INTERVALS.includes(interval)) {
+    throw badRequest(`Unsupported interval: ${interval}`);
+  }
+
+  const end = to ? toIsoDate(to) : todayIso();
+  const start = from ? toIsoDate(from) : rangeStart(range, end);
+  if (!start || !end) throw badRequest("Invalid from/to date");
+
+  const yahooSymbol = await resolveYahooSymbol({ symbol, exchange });
+  const meta = {
+    symbol: yahooSymbol,
+    interval,
+    range: from || to ? null : range,
+    from: start,
+    to: end,
+  };
+
+  if (end < todayIso()) {
+    return { ...meta, ...(await loadChart(yahooSymbol, interval, start, end)) };
+  }
+
+  const intraday = /[mh]$/.test(interval);
+  const liveTtl = marketTtl(
+    intraday ? INTRADAY_TTL : LIVE_DAILY_TTL,
+    historyCache.ttl
+  );
+  const settled = settledThrough(interval, end);
+  if (!settled || settled < start) {
+    const live = await loadChart(yahooSymbol, interval, start, end, liveTtl);
+    return { ...meta, ...live };
+  }
+
+  const parts = [await loadChart(yahooSymbol, interval, start, settled)];
+  if (settled < end) {
+    parts.push(
+      await loadChart(yahooSymbol, interval, addDays(settled, 1), end, liveTtl)
+    );
+  }
+  return { ...meta, ...mergeParts(parts) };
+}
+
+module.exports = { getHistory, resolveYahooSymbol };
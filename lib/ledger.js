@@ -0,0 +1,209 @@
+const { randomUUID } = require("crypto");
+const {
+  normalizeItemSymbolExchange,
+  instrumentKey,
+  isIsin,
+  cleanSym,
+} = require("./symbols");
+const { toIsoDate } = require("./dates");
+
+const TYPE_ALIASES = {
+  buy: "buy",
+  b: "buy",
+  purchase: "buy",
+  sell: "sell",
+  s: "sell",
+  sale: "sell",
+  dividend: "dividend",
+  div: "dividend",
+  fee: "fee",
+  fees: "fee",
+  charge: "fee",
+  charges: "fee",
+};
+
+function num(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const n = Number(String(v).replace(/,/g, "").trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function sanitizeTransaction(input = {}, id = randomUUID()) {
+  const type =
+    TYPE_ALIASES[
+      String(input.type || "")
+        .trim()
+        .toLowerCase()
+    ];
+  if (!type) throw badRequest(`Unknown transaction type: ${input.type}`);
+
+  const date = toIsoDate(input.date);
+  if (!date) throw badRequest(`Invalid transaction date: ${input.date}`);
+
+  const { symbol, exchange } = normalizeItemSymbolExchange(input);
+  if (!symbol) throw badRequest("Transaction symbol is required");
+
+  const qty = num(input.qty);
+  const price = num(input.price);
+  const fees = num(input.fees) || 0;
+  let amount = num(input.amount);
+
+  if (type === "buy" || type === "sell") {
+    if (!(qty > 0)) throw badRequest(`Invalid qty for ${type}: ${input.qty}`);
+    if (price == null || price < 0) {
+      throw badRequest(`Invalid price for ${type}: ${input.price}`);
+    }
+    amount = qty * price;
+  } else if (amount == null) {
+    if (qty != null && price != null) amount = qty * price;
+    else throw badRequest(`Amount is required for ${type}`);
+  }
+
+  return {
+    id,
+    date,
+    type,
+    symbol,
+    exchange,
+    particulars: String(input.particulars ?? symbol).trim(),
+    sector: input.sector ?? null,
+    qty: qty ?? null,
+    price: price ?? null,
+    amount,
+    fees,
+    fmv: type === "buy" ? num(input.fmv) : null,
+    ...(isIsin(input.isin) ? { isin: cleanSym(input.isin) } : {}),
+  };
+}
+
+function sortTransactions(list) {
+  return list
+    .map((t, i) => ({ t, i }))
+    .sort((a, b) => a.t.date.localeCompare(b.t.date) || a.i - b.i)
+    .map((x) => x.t);
+}
+
+function emptyPosition(key, t) {
+  return {
+    key,
+    symbol: t.symbol,
+    exchange: t.exchange,
+    particulars: t.particulars,
+    sector: t.sector,
+    lots: [],
+    realized: [],
+    dividends: 0,
+    fees: 0,
+  };
+}
+
+function buildLedger(transactions) {
+  const positions = new Map();
+  const warnings = [];
+
+  for (const t of sortTransactions(transactions)) {
+    const key = instrumentKey(t);
+    if (!positions.has(key)) positions.set(key, emptyPosition(key, t));
+    const p = positions.get(key);
+    if (t.sector) p.sector = t.sector;
+
+    if (t.type === "buy") {
+      p.lots.push({
+        txId: t.id,
+        date: t.date,
+        qty: t.qty,
+        price: (t.amount + t.fees) / t.qty,
+        fmv: t.fmv ?? null,
+      });
+    } else if (t.type === "sell") {
+      const sellPrice = (t.amount - t.fees) / t.qty;
+      let remaining = t.qty;
+      while (remaining > 0 && p.lots.length) {
+        const lot = p.lots[0];
+        const used = Math.min(lot.qty, remaining);
+        p.realized.push({
+          sellTxId: t.id,
+          buyTxId: lot.txId,
+          buyDate: lot.date,
+          sellDate: t.date,
+          qty: used,
+          buyPrice: lot.price,
+          sellPrice,
+          fmv: lot.fmv,
+          gain: (sellPrice - lot.price) * used,
+        });
+        lot.qty -= used;
+        remaining -= used;
+        if (lot.qty <= 1e-9) p.lots.shift();
+      }
+      if (remaining > 1e-9) {
+        warnings.push({
+          txId: t.id,
+          symbol: `${t.symbol}:${t.exchange}`,
+          message: `Sell of ${t.qty} on ${t.date} exceeds open quantity by ${remaining}`,
+        });
+      }
+    } else if (t.type === "dividend") {
+      p.dividends += t.amount;
+    } else if (t.type === "fee") {
+      p.fees += t.amount;
+    }
+  }
+
+  const out = Array.from(positions.values()).map((p) => {
+    const openQty = p.lots.reduce((a, l) => a + l.qty, 0);
+    const openCost = p.lots.reduce((a, l) => a + l.qty * l.price, 0);
+    return {
+      ...p,
+      openQty,
+      avgCost: openQty ? openCost / openQty : 0,
+      realizedPnl: p.realized.reduce((a, r) => a + r.gain, 0),
+    };
+  });
+
+  return { positions: out, warnings };
+}
+
+function holdingsFromLedger(positions) {
+  return positions
+    .filter((p) => p.openQty > 0)
+    .map((p) => ({
+      particulars: p.particulars,
+      symbol: p.symbol,
+      exchange: p.exchange,
+      purchasePrice: p.avgCost,
+      qty: p.openQty,
+      sector: p.sector ?? "Others",
+      sectorSource: p.sector ? "provided" : "default",
+    }));
+}
+
+function withUnrealized(position, cmp) {
+  if (cmp == null) {
+    return { ...position, cmp: null, unrealizedPnl: null };
+  }
+  const lots = position.lots.map((l) => ({
+    ...l,
+    unrealizedPnl: (cmp - l.price) * l.qty,
+  }));
+  return {
+    ...position,
+    lots,
+    cmp,
+    unrealizedPnl: lots.reduce((a, l) => a + l.unrealizedPnl, 0),
+  };
+}
+
+module.exports = {
+  sanitizeTransaction,
+  buildLedger,
+  holdingsFromLedger,
+  withUnrealized,
+};
@@ -0,0 +1,79 @@
+const { createStore } = require("./store");
+const { MAPPABLE_FIELDS } = require("./excel");
+
+const store = createStore("mappings");
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function sanitizeMapping(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      throw badRequest("mapping must be valid JSON");
+    }
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw badRequest("mapping must be an object");
+  }
+
+  const { headerRow, columns: nested, ...flat } = raw;
+  const columns = nested ?? flat;
+  const out = {};
+  for (const [field, spec] of Object.entries(columns)) {
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      throw badRequest(
+        `Unknown mapping field: ${field} (expected one of ${MAPPABLE_FIELDS.join(
+          ", "
+        )})`
+      );
+    }
+    if (spec == null || String(spec).trim() === "") continue;
+    out[field] = String(spec).trim();
+  }
+  if (!Object.keys(out).length) {
+    throw badRequest("mapping must map at least one column");
+  }
+
+  if (headerRow != null && !(Number.isInteger(headerRow) && headerRow > 0)) {
+    throw badRequest("headerRow must be a positive 1-based row number");
+  }
+
+  return { columns: out, ...(headerRow != null ? { headerRow } : {}) };
+}
+
+function listMappings() {
+  return store.all();
+}
+
+function getMapping(name) {
+  return store.get(name);
+}
+
+function saveMapping(name, input) {
+  const now = Date.now();
+  const prev = store.get(name);
+  return store.put(name, {
+    name,
+    ...sanitizeMapping(input),
+    createdAt: prev?.createdAt ?? now,
+    updatedAt: now,
+  });
+}
+
+function deleteMapping(name) {
+  return store.remove(name);
+}
+
+module.exports = {
+  sanitizeMapping,
+  listMappings,
+  getMapping,
+  saveMapping,
+  deleteMapping,
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { addDays } = require("./dates");
+
+const CALENDAR_FILE =
+  process.env.MARKET_CALENDAR_FILE ||
+  path.join(__dirname, "..", "config", "market-calendar.json");
+
+let calendar = null;
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+function loadCalendar() {
+  if (calendar) return calendar;
+  const raw = JSON.parse(fs.readFileSync(CALENDAR_FILE, "utf8"));
+  const session = raw.session || {};
+  calendar = {
+    offsetMs: (raw.utcOffsetMinutes ?? 330) * 60_000,
+    staleAfterMs: raw.staleAfterMs ?? 15 * 60_000,
+    regular: {
+      name: "Regular",
+      preOpen: toMinutes(session.preOpen || "09:00"),
+      open: toMinutes(session.open || "09:15"),
+      close: toMinutes(session.close || "15:30"),
+    },
+    holidays: new Set(raw.holidays || []),
+    special: new Map(
+      (raw.specialSessions || []).map((s) => [
+        s.date,
+        {
+          name: s.name || "Special Session",
+          preOpen: toMinutes(s.preOpen || s.open),
+          open: toMinutes(s.open),
+          close: toMinutes(s.close),
+        },
+      ])
+    ),
+  };
+  return calendar;
+}
+
+function istDate(now = Date.now()) {
+  const { offsetMs } = loadCalendar();
+  return new Date(Number(now) + offsetMs).toISOString().slice(0, 10);
+}
+
+function sessionFor(isoDate) {
+  const cal = loadCalendar();
+  if (cal.special.has(isoDate)) return cal.special.get(isoDate);
+  const weekday = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  if (weekday === 0 || weekday === 6 || cal.holidays.has(isoDate)) return null;
+  return cal.regular;
+}
+
+function sessionTimes(isoDate) {
+  const s = sessionFor(isoDate);
+  if (!s) return null;
+  const midnight = Date.parse(`${isoDate}T00:00:00Z`) - loadCalendar().offsetMs;
+  return {
+    name: s.name,
+    preOpen: midnight + s.preOpen * 60_000,
+    open: midnight + s.open * 60_000,
+    close: midnight + s.close * 60_000,
+  };
+}
+
+function isTradingDay(isoDate) {
+  return !!sessionFor(isoDate);
+}
+
+function marketState(now = Date.now()) {
+  const t = sessionTimes(istDate(now));
+  if (!t || now < t.preOpen || now >= t.close) return "closed";
+  return now < t.open ? "pre-open" : "open";
+}
+
+function isMarketOpen(now = Date.now()) {
+  return marketState(now) === "open";
+}
+
+function nextSession(now = Date.now()) {
+  const today = istDate(now);
+  for (let i = 0; i < 15; i++) {
+    const t = sessionTimes(addDays(today, i));
+    if (t && t.open > now) return t;
+  }
+  return null;
+}
+
+function nextOpen(now = Date.now()) {
+  return nextSession(now)?.open ?? null;
+}
+
+function lastClose(now = Date.now()) {
+  const today = istDate(now);
+  for (let i = 0; i < 15; i++) {
+    const t = sessionTimes(addDays(today, -i));
+    if (t && t.close <= now) return t.close;
+  }
+  return null;
+}
+
+function isPriceStale(asOf, now = Date.now(), staleAfterMs) {
+  if (asOf == null) return true;
+  const limit = staleAfterMs ?? loadCalendar().staleAfterMs;
+  if (marketState(now) === "open") return now - asOf > limit;
+  const close = lastClose(now);
+  return close != null && asOf < close - limit;
+}
+
+function marketTtl(baseTtl, maxTtl, now = Date.now()) {
+  if (marketState(now) !== "closed") return baseTtl;
+  const next = nextSession(now);
+  const untilPreOpen = next ? next.preOpen - now : maxTtl;
+  return Math.max(baseTtl, Math.min(maxTtl, untilPreOpen));
+}
+
+function marketStatus(now = Date.now()) {
+  const today = istDate(now);
+  const t = sessionTimes(today);
+  const cal = loadCalendar();
+  return {
+    state: marketState(now),
+    date: today,
+    session: t ? t.name : null,
+    holiday: cal.holidays.has(today) && !cal.special.has(today),
+    nextOpen: nextOpen(now),
+    lastClose: lastClose(now),
+    ts: now,
+  };
+}
+
+module.exports = {
+  istDate,
+  isTradingDay,
+  marketState,
+  isMarketOpen,
+  nextOpen,
+  lastClose,
+  isPriceStale,
+  marketTtl,
+  marketStatus,
+};
@@ -0,0 +1,278 @@
+const { transformRows } = require("./excel");
+const { normalizeSectorName } = require("./sectors");
+const { getHistory } = require("./history");
+const { normalizeItemSymbolExchange } = require("./symbols");
+const { toIsoDate, daysBetween, todayIso } = require("./dates");
+const { xirr } = require("./returns");
+const {
+  resolveBenchmark,
+  sectorBenchmark,
+  compareWithBenchmark,
+} = require("./benchmarks");
+
+function linesFromHoldings(rows) {
+  const lines = [];
+  const excluded = [];
+  transformRows(rows).holdings.forEach((h, idx) => {
+    const { symbol, exchange } = normalizeItemSymbolExchange(h);
+    const purchaseDate = toIsoDate(h.purchaseDate);
+    if (!purchaseDate) {
+      excluded.push({
+        particulars: h.particulars,
+        symbol,
+        exchange,
+        reason: "missing_purchase_date",
+      });
+      return;
+    }
+    lines.push({
+      id: h.id ?? String(idx),
+      particulars: h.particulars,
+      symbol,
+      exchange,
+      sector: h.sector,
+      events: [{ date: purchaseDate, qty: h.qty, cash: -h.investment }],
+    });
+  });
+  return { lines, excluded };
+}
+
+function linesFromTransactions(transactions) {
+  const byKey = new Map();
+  for (const t of transactions) {
+    const key = `${t.symbol}:${t.exchange}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        id: key,
+        particulars: t.particulars,
+        symbol: t.symbol,
+        exchange: t.exchange,
+        sector: "Others",
+        events: [],
+      });
+    }
+    const line = byKey.get(key);
+    if (t.sector) line.sector = normalizeSectorName(t.sector);
+
+    if (t.type === "buy") {
+      line.events.push({
+        date: t.date,
+        qty: t.qty,
+        cash: -(t.amount + t.fees),
+      });
+    } else if (t.type === "sell") {
+      line.events.push({ date: t.date, qty: -t.qty, cash: t.amount - t.fees });
+    } else if (t.type === "dividend") {
+      line.events.push({ date: t.date, qty: 0, cash: t.amount });
+    } else if (t.type === "fee") {
+      line.events.push({ date: t.date, qty: 0, cash: -t.amount });
+    }
+  }
+  for (const line of byKey.values()) {
+    line.events.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return { lines: Array.from(byKey.values()), excluded: [] };
+}
+
+function metrics(lines, asOf) {
+  const flows = [];
+  let invested = 0;
+  let received = 0;
+  let currentValue = 0;
+
+  for (const l of lines) {
+    for (const e of l.events) {
+      flows.push({ date: e.date, amount: e.cash });
+      if (e.cash < 0) invested -= e.cash;
+      else received += e.cash;
+    }
+    currentValue += l.currentValue;
+  }
+  if (!flows.length) return null;
+
+  const startDate = flows.reduce(
+    (m, f) => (f.date < m ? f.date : m),
+    flows[0].date
+  );
+  const years = daysBetween(startDate, asOf) / 365;
+  const absoluteReturn = currentValue + received - invested;
+
+  return {
+    startDate,
+    invested,
+    received,
+    currentValue,
+    absoluteReturn,
+    absoluteReturnPct: invested ? (absoluteReturn / invested) * 100 : null,
+    cagr:
+      invested > 0 && years > 0
+        ? Math.pow((currentValue + received) / invested, 1 / years) - 1
+        : null,
+    xirr: xirr([...flows, { date: asOf, amount: currentValue }]),
+  };
+}
+
+function buildSeries(lines, closesByKey, startDate) {
+  const dates = new Set();
+  for (const closes of closesByKey.values()) {
+    for (const d of closes.keys()) if (d >= startDate) dates.add(d);
+  }
+
+  const state = lines.map((l) => ({
+    line: l,
+    key: `${l.symbol}:${l.exchange}`,
+    idx: 0,
+    qty: 0,
+    cost: 0,
+  }));
+  const lastClose = new Map();
+  let netInvested = 0;
+
+  return Array.from(dates)
+    .sort()
+    .map((date) => {
+      let value = 0;
+      for (const s of state) {
+        const { events } = s.line;
+        while (s.idx < events.length && events[s.idx].date <= date) {
+          const e = events[s.idx++];
+          s.qty += e.qty;
+          if (e.qty > 0) s.cost = -e.cash / e.qty;
+          netInvested -= e.cash;
+        }
+        const c = closesByKey.get(s.key)?.get(date);
+        if (c != null) lastClose.set(s.key, c);
+        value += s.qty * (lastClose.get(s.key) ?? s.cost);
+      }
+      return { date, value, netInvested };
+    });
+}
+
+async function computePerformance({
+  rows,
+  transactions,
+  benchmark,
+  sectorBenchmarks = false,
+}) {
+  const asOf = todayIso();
+  const { lines: all, excluded } =
+    transactions && transactions.length
+      ? linesFromTransactions(transactions)
+      : linesFromHoldings(rows || []);
+
+  const startOf = (l) => l.events[0]?.date ?? asOf;
+  const histories = new Map();
+  for (const l of all) {
+    const key = `${l.symbol}:${l.exchange}`;
+    const from = startOf(l);
+    const prev = histories.get(key);
+    if (!prev || from < prev.from) histories.set(key, { line: l, from });
+  }
+
+  const closesByKey = new Map();
+  const failed = new Map();
+  await Promise.all(
+    Array.from(histories, async ([key, { line, from }]) => {
+      try {
+        const h = await getHistory({
+          symbol: line.symbol,
+          exchange: line.exchange,
+          from,
+          interval: "1d",
+        });
+        if (!h.bars.length) throw new Error("No price history returned");
+        closesByKey.set(
+          key,
+          new Map(h.bars.map((b) => [b.date.slice(0, 10), b.close]))
+        );
+      } catch (err) {
+        failed.set(key, err?.message || String(err));
+      }
+    })
+  );
+
+  const lines = [];
+  for (const l of all) {
+    const key = `${l.symbol}:${l.exchange}`;
+    if (failed.has(key)) {
+      excluded.push({
+        particulars: l.particulars,
+        symbol: l.symbol,
+        exchange: l.exchange,
+        reason: "no_price_history",
+        error: failed.get(key),
+      });
+      continue;
+    }
+    const closes = Array.from(closesByKey.get(key).values());
+    const qty = l.events.reduce((a, e) => a + e.qty, 0);
+    lines.push({ ...l, qty, currentValue: qty * closes[closes.length - 1] });
+  }
+
+  const bySector = new Map();
+  for (const l of lines) {
+    if (!bySector.has(l.sector)) bySector.set(l.sector, []);
+    bySector.get(l.sector).push(l);
+  }
+
+  const portfolio = metrics(lines, asOf);
+  const series = portfolio
+    ? buildSeries(lines, closesByKey, portfolio.startDate)
+    : [];
+
+  const sectors = Array.from(bySector, ([sector, list]) => ({
+    sector,
+    ...metrics(list, asOf),
+  }));
+
+  let benchmarkOut;
+  if (benchmark && portfolio) {
+    benchmarkOut = await compareWithBenchmark({
+      symbol: resolveBenchmark(benchmark),
+      lines,
+      metrics: portfolio,
+      series,
+      asOf,
+    });
+  }
+
+  if (sectorBenchmarks && portfolio) {
+    await Promise.all(
+      sectors.map(async (s) => {
+        const symbol = sectorBenchmark(s.sector);
+        if (!symbol) {
+          s.benchmark = null;
+          return;
+        }
+        const { series: _series, ...summary } = await compareWithBenchmark({
+          symbol,
+          lines: bySector.get(s.sector),
+          metrics: s,
+          series: [],
+          asOf,
+        });
+        s.benchmark = summary;
+      })
+    );
+  }
+
+  return {
+    asOf,
+    portfolio,
+    ...(benchmarkOut ? { benchmark: benchmarkOut } : {}),
+    sectors,
+    holdings: lines.map((l) => ({
+      particulars: l.particulars,
+      symbol: l.symbol,
+      exchange: l.exchange,
+      sector: l.sector,
+      qty: l.qty,
+      ...metrics([l], asOf),
+    })),
+    series,
+    excluded,
+    ts: Date.now(),
+  };
+}
+
+module.exports = { computePerformance };
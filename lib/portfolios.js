@@ -0,0 +1,187 @@
+const { randomUUID } = require("crypto");
+const { createStore } = require("./store");
+const { transformRows } = require("./excel");
+const { normalizeItemSymbolExchange, isIsin, cleanSym } = require("./symbols");
+const {
+  sanitizeTransaction,
+  buildLedger,
+  holdingsFromLedger,
+} = require("./ledger");
+const { toIsoDate } = require("./dates");
+
+const store = createStore("portfolios");
+
+function num(v) {
+  if (v == null || v === "") return 0;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const n = Number(String(v).replace(/,/g, "").trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function sanitizeHolding(input = {}, id = randomUUID()) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(input);
+  if (!symbol) throw badRequest("Holding symbol is required");
+
+  const qty = num(input.qty);
+  if (qty == null || qty < 0) {
+    throw badRequest(`Invalid qty for ${symbol}: ${input.qty}`);
+  }
+  const purchasePrice = num(input.purchasePrice);
+  if (purchasePrice == null || purchasePrice < 0) {
+    throw badRequest(
+      `Invalid purchasePrice for ${symbol}: ${input.purchasePrice}`
+    );
+  }
+
+  const purchaseDate = toIsoDate(input.purchaseDate);
+  return {
+    id,
+    particulars: String(input.particulars ?? symbol).trim(),
+    symbol,
+    exchange,
+    purchasePrice,
+    qty,
+    sector: input.sector ?? "Others",
+    sectorSource: input.sectorSource ?? (input.sector ? "provided" : "default"),
+    ...(purchaseDate ? { purchaseDate } : {}),
+    ...(input.account ? { account: String(input.account) } : {}),
+    ...(isIsin(input.isin) ? { isin: cleanSym(input.isin) } : {}),
+  };
+}
+
+function view(p) {
+  if (!p) return null;
+  return {
+    id: p.id,
+    name: p.name,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+    ...transformRows(p.rows),
+  };
+}
+
+function listPortfolios() {
+  return store.all().map((p) => ({
+    id: p.id,
+    name: p.name,
+    holdingsCount: p.rows.length,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  }));
+}
+
+function getPortfolio(id) {
+  return view(store.get(id));
+}
+
+function getPortfolioRows(id) {
+  return store.get(id)?.rows ?? null;
+}
+
+function getHoldingRows(id) {
+  const p = store.get(id);
+  if (!p) return null;
+  if (p.transactions?.length) {
+    return holdingsFromLedger(buildLedger(p.transactions).positions);
+  }
+  return p.rows;
+}
+
+function savePortfolio(id, { name, rows }) {
+  const prev = store.get(id);
+  const now = Date.now();
+  const doc = {
+    id,
+    name: name ?? prev?.name ?? "Untitled",
+    rows: rows.map((r) => sanitizeHolding(r, r.id)),
+    createdAt: prev?.createdAt ?? now,
+    updatedAt: now,
+  };
+  store.put(id, doc);
+  return view(doc);
+}
+
+function createPortfolio({ name, rows }) {
+  return savePortfolio(randomUUID(), { name, rows });
+}
+
+function deletePortfolio(id) {
+  return store.remove(id);
+}
+
+function mutateRows(id, fn) {
+  const p = store.get(id);
+  if (!p) return null;
+  const rows = fn(p.rows);
+  if (!rows) return null;
+  store.put(id, { ...p, rows, updatedAt: Date.now() });
+  return getPortfolio(id);
+}
+
+function addHolding(id, input) {
+  return mutateRows(id, (rows) => [...rows, sanitizeHolding(input)]);
+}
+
+function updateHolding(id, holdingId, patch) {
+  return mutateRows(id, (rows) => {
+    const idx = rows.findIndex((r) => r.id === holdingId);
+    if (idx === -1) return null;
+    const next = rows.slice();
+    next[idx] = sanitizeHolding({ ...rows[idx], ...patch }, holdingId);
+    return next;
+  });
+}
+
+function removeHolding(id, holdingId) {
+  return mutateRows(id, (rows) => {
+    const next = rows.filter((r) => r.id !== holdingId);
+    return next.length === rows.length ? null : next;
+  });
+}
+
+function getTransactions(id) {
+  const p = store.get(id);
+  if (!p) return null;
+  return p.transactions ?? [];
+}
+
+function addTransactions(id, list, { replace = false } = {}) {
+  const p = store.get(id);
+  if (!p) return null;
+  const added = list.map((t) => sanitizeTransaction(t, t.id));
+  const transactions = replace ? added : [...(p.transactions ?? []), ...added];
+  store.put(id, { ...p, transactions, updatedAt: Date.now() });
+  return transactions;
+}
+
+function removeTransaction(id, txId) {
+  const p = store.get(id);
+  if (!p) return null;
+  const prev = p.transactions ?? [];
+  const transactions = prev.filter((t) => t.id !== txId);
+  if (transactions.length === prev.length) return null;
+  store.put(id, { ...p, transactions, updatedAt: Date.now() });
+  return transactions;
+}
+
+module.exports = {
+  listPortfolios,
+  getPortfolio,
+  getPortfolioRows,
+  getHoldingRows,
+  createPortfolio,
+  savePortfolio,
+  deletePortfolio,
+  addHolding,
+  updateHolding,
+  removeHolding,
+  getTransactions,
+  addTransactions,
+  removeTransaction,
+};
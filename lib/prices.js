@@ -0,0 +1,217 @@
+const YahooFinance = require("yahoo-finance2").default;
+const Bottleneck = require("bottleneck");
+const { normalizeItemSymbolExchange, toGooglePath } = require("./symbols");
+const { fetchGoogleCmp } = require("./google_price");
+const { resolveYahooSymbol } = require("./history");
+const { registerProvider, fetchWithProviders } = require("./providers");
+const { quotesCache, lookupCached } = require("./cache");
+const { marketState, isPriceStale } = require("./market");
+const {
+  withBreaker,
+  isCircuitOpen,
+  isUpstreamFailure,
+  YAHOO_HOST,
+} = require("./breaker");
+
+const yahooFinance = new YahooFinance();
+const limiter = new Bottleneck({ minTime: 200 });
+
+const QUOTE_CHUNK_SIZE = 50;
+
+async function withRetry(fn, attempts = 3) {
+  let lastErr;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastErr = err;
+      if (isCircuitOpen(err)) break;
+      await new Promise((r) => setTimeout(r, 300 * (i + 1)));
+    }
+  }
+  throw lastErr;
+}
+
+// Only host trouble should demote a provider, not one unknown symbol.
+const upstreamError = (err) => isCircuitOpen(err) || isUpstreamFailure(err);
+
+function isValidQuote(q) {
+  return !!q && (!!q.symbol || q.regularMarketPrice != null);
+}
+
+function getQuoteWithRetry(sym, attempts = 3) {
+  return withRetry(async () => {
+    const q = await withBreaker(YAHOO_HOST, () =>
+      limiter.schedule(() => yahooFinance.quote(sym))
+    );
+    if (!isValidQuote(q)) {
+      throw new Error("Empty/invalid quote payload from Yahoo");
+    }
+    return q;
+  }, attempts);
+}
+
+let pendingQuotes = new Map();
+
+async function settleQuoteChunk(chunk, batch) {
+  const settle = (sym, err, q) =>
+    batch
+      .get(sym)
+      .forEach(({ resolve, reject }) => (err ? reject(err) : resolve(q)));
+
+  if (chunk.length === 1) {
+    try {
+      settle(chunk[0], null, await getQuoteWithRetry(chunk[0], 3));
+    } catch (err) {
+      settle(chunk[0], err);
+    }
+    return;
+  }
+
+  let quotes;
+  try {
+    quotes = await withRetry(() =>
+      withBreaker(YAHOO_HOST, () =>
+        limiter.schedule(() => yahooFinance.quote(chunk, { return: "array" }))
+      )
+    );
+  } catch (err) {
+    if (isCircuitOpen(err)) {
+      chunk.forEach((sym) => settle(sym, err));
+      return;
+    }
+    await Promise.all(chunk.map((sym) => settleQuoteChunk([sym], batch)));
+    return;
+  }
+
+  const bySymbol = new Map(
+    (quotes || [])
+      .filter(isValidQuote)
+      .map((q) => [String(q.symbol).toUpperCase(), q])
+  );
+  for (const sym of chunk) {
+    const q = bySymbol.get(sym.toUpperCase());
+    if (q) settle(sym, null, q);
+    else settle(sym, new Error("Empty/invalid quote payload from Yahoo"));
+  }
+}
+
+function flushQuotes() {
+  const batch = pendingQuotes;
+  pendingQuotes = new Map();
+  const symbols = Array.from(batch.keys());
+  for (let i = 0; i < symbols.length; i += QUOTE_CHUNK_SIZE) {
+    settleQuoteChunk(symbols.slice(i, i + QUOTE_CHUNK_SIZE), batch);
+  }
+}
+
+function loadYahooQuote(sym) {
+  return new Promise((resolve, reject) => {
+    if (!pendingQuotes.size) setImmediate(flushQuotes);
+    if (!pendingQuotes.has(sym)) pendingQuotes.set(sym, []);
+    pendingQuotes.get(sym).push({ resolve, reject });
+  });
+}
+
+async function fetchYahooPrice(sym) {
+  try {
+    const q = await loadYahooQuote(sym);
+    return {
+      ok: true,
+      symbol: q.symbol || sym,
+      price:
+        q.regularMarketPrice ?? q.postMarketPrice ?? q.preMarketPrice ?? null,
+      currency: q.currency ?? null,
+      marketTime: q.regularMarketTime
+        ? new Date(q.regularMarketTime).getTime()
+        : null,
+      source: "yahoo",
+      ts: Date.now(),
+    };
+  } catch (err) {
+    const msg = err && (err.message || String(err));
+    return {
+      ok: false,
+      symbol: sym,
+      error: msg,
+      upstream: upstreamError(err),
+      source: "yahoo",
+      ts: Date.now(),
+    };
+  }
+}
+
+async function fetchGooglePrice(symbol, exchange) {
+  try {
+    const r = await fetchGoogleCmp(symbol, exchange);
+    if (r.ok) return r;
+    return {
+      ok: false,
+      symbol: toGooglePath(symbol, exchange),
+      price: null,
+      currency: null,
+      source: "google",
+      error: "Google returned no price (page mismatch or no data)",
+      upstream: false,
+      ts: Date.now(),
+    };
+  } catch (err) {
+    const msg = err && (err.message || String(err));
+    return {
+      ok: false,
+      symbol: toGooglePath(symbol, exchange),
+      price: null,
+      currency: null,
+      source: "google",
+      error: msg,
+      upstream: upstreamError(err),
+      ts: Date.now(),
+    };
+  }
+}
+
+registerProvider({
+  id: "yahoo",
+  fetch: async (item) => fetchYahooPrice(await resolveYahooSymbol(item)),
+});
+
+registerProvider({
+  id: "google",
+  fetch: (item) => {
+    const { symbol, exchange } = normalizeItemSymbolExchange(item);
+    return fetchGooglePrice(symbol, exchange);
+  },
+});
+
+function withMarketState(r, now = Date.now()) {
+  const asOf = r.marketTime ?? r.ts ?? null;
+  return {
+    ...r,
+    marketState: marketState(now),
+    asOf,
+    isStale: r.ok ? isPriceStale(asOf, now) : true,
+  };
+}
+
+async function fetchPrice(item) {
+  return withMarketState(await fetchWithProviders(item));
+}
+
+async function fetchPriceCached(item) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  const { value, ...meta } = await lookupCached(
+    quotesCache,
+    `${symbol}:${exchange}`,
+    () => fetchPrice({ symbol, exchange }),
+    { cacheIf: (r) => r.ok }
+  );
+  return { ...withMarketState(value), ...meta };
+}
+
+module.exports = {
+  getQuoteWithRetry,
+  fetchYahooPrice,
+  fetchGooglePrice,
+  fetchPrice,
+  fetchPriceCached,
+};
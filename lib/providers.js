@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeItemSymbolExchange, isNumericSymbol } = require("./symbols");
+const { isUpstreamFailure, isCircuitOpen } = require("./breaker");
+
+const CONFIG_FILE =
+  process.env.PRICE_PROVIDERS_FILE ||
+  path.join(__dirname, "..", "config", "price-providers.json");
+
+const providers = new Map();
+const health = new Map();
+let config = null;
+
+function loadConfig() {
+  if (!config) config = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+  return config;
+}
+
+function registerProvider(provider) {
+  if (!provider?.id || typeof provider.fetch !== "function") {
+    throw new Error("Provider needs an id and a fetch(item) function");
+  }
+  providers.set(provider.id, provider);
+  if (!health.has(provider.id)) {
+    health.set(provider.id, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      misses: 0,
+      demotedUntil: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+    });
+  }
+}
+
+function isDemoted(id, now = Date.now()) {
+  return (health.get(id)?.demotedUntil || 0) > now;
+}
+
+// `upstream: false` marks a miss for one symbol (unknown ticker, empty
+// page); those are reported but do not count towards demotion.
+function recordResult(id, ok, error, upstream = true) {
+  const h = health.get(id);
+  if (!h) return;
+  const now = Date.now();
+  if (ok) {
+    h.successes++;
+    h.consecutiveFailures = 0;
+    h.demotedUntil = 0;
+    h.lastSuccessAt = now;
+    return;
+  }
+  if (!upstream) {
+    h.misses++;
+    return;
+  }
+
+  const { demoteAfterFailures = 3, demoteForMs = 60_000 } =
+    loadConfig().health || {};
+  h.failures++;
+  h.consecutiveFailures++;
+  h.lastError = error || null;
+  h.lastFailureAt = now;
+  if (h.consecutiveFailures >= demoteAfterFailures) {
+    h.demotedUntil = now + demoteForMs;
+  }
+}
+
+function providerOrder(item) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  const { priority = {} } = loadConfig();
+  const numericKey = isNumericSymbol(symbol) ? `${exchange}:numeric` : null;
+  const configured =
+    priority[numericKey] || priority[exchange] || priority.default;
+  const ids = (configured || [...providers.keys()]).filter((id) =>
+    providers.has(id)
+  );
+  const now = Date.now();
+  return [
+    ...ids.filter((id) => !isDemoted(id, now)),
+    ...ids.filter((id) => isDemoted(id, now)),
+  ];
+}
+
+async function callProvider(id, item) {
+  let r;
+  try {
+    r = await providers.get(id).fetch(item);
+  } catch (err) {
+    r = {
+      ok: false,
+      error: err?.message || String(err),
+      upstream: isCircuitOpen(err) || isUpstreamFailure(err),
+    };
+  }
+  const { upstream, ...result } = r || {};
+  const ok = !!result.ok && result.price != null;
+  const error = ok ? null : result.error || "No price returned";
+  recordResult(id, ok, error, upstream !== false);
+  return { ok, error, result };
+}
+
+async function fetchWithProviders(item) {
+  const order = providerOrder(item);
+  const tried = [];
+  let last = null;
+
+  for (const id of order) {
+    const { ok, error, result: r } = await callProvider(id, item);
+    tried.push(ok ? { provider: id, ok } : { provider: id, ok, error });
+
+    last = { ...r, source: r.source || id };
+    if (ok) return { ...last, ok: true, provider: id, tried };
+  }
+
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  return {
+    symbol: `${symbol}:${exchange}`,
+    price: null,
+    currency: null,
+    ...last,
+    ok: false,
+    error: last?.error || "No price provider configured",
+    provider: null,
+    tried,
+    ts: Date.now(),
+  };
+}
+
+async function fetchEachProvider(item) {
+  return Promise.all(
+    providerOrder(item).map(async (id) => ({
+      provider: id,
+      ...(await callProvider(id, item)),
+    }))
+  );
+}
+
+function providerHealth() {
+  const now = Date.now();
+  return Array.from(providers.keys()).map((id) => ({
+    provider: id,
+    ...health.get(id),
+    demoted: isDemoted(id, now),
+  }));
+}
+
+module.exports = {
+  registerProvider,
+  providerOrder,
+  fetchWithProviders,
+  fetchEachProvider,
+  providerHealth,
+  loadConfig,
+};
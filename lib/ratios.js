@@ -0,0 +1,150 @@
+const { transformRows } = require("./excel");
+const { fetchFundamentals } = require("./fundamentals");
+const { normalizeItemSymbolExchange } = require("./symbols");
+
+const DEFAULT_OUTLIER_PCT = 50;
+const FIELDS = ["pe", "latestEarnings", "dividendYield"];
+
+function itemKey(h) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(h);
+  return { key: `${symbol}:${exchange}`, symbol, exchange };
+}
+
+const sum = (xs) => xs.reduce((a, x) => a + x, 0);
+
+function aggregate(holdings) {
+  const totalWeight = sum(holdings.map((h) => h.weight));
+  const withPe = holdings.filter((h) => h.pe != null && h.pe !== 0);
+  const positivePe = withPe.filter((h) => h.pe > 0);
+  const withYield = holdings.filter((h) => h.dividendYield != null);
+
+  const peWeight = sum(positivePe.map((h) => h.weight));
+  const eyWeight = sum(withPe.map((h) => h.weight));
+  const earningsYield = eyWeight
+    ? (sum(withPe.map((h) => h.weight / h.pe)) / eyWeight) * 100
+    : null;
+  const yieldWeight = sum(withYield.map((h) => h.weight));
+
+  return {
+    weightedPe: peWeight
+      ? sum(positivePe.map((h) => h.weight * h.pe)) / peWeight
+      : null,
+    harmonicPe: earningsYield > 0 ? 100 / earningsYield : null,
+    earningsYield,
+    dividendYield: yieldWeight
+      ? sum(withYield.map((h) => h.weight * h.dividendYield)) / yieldWeight
+      : null,
+    peCoveragePct: totalWeight ? (eyWeight / totalWeight) * 100 : null,
+    dividendCoveragePct: totalWeight ? (yieldWeight / totalWeight) * 100 : null,
+    lossMakers: withPe.length - positivePe.length,
+    holdingsCount: holdings.length,
+  };
+}
+
+function comparePeers(h, sectorHoldings, outlierPct) {
+  const peers = sectorHoldings.filter(
+    (p) => p.key !== h.key && p.pe != null && p.pe > 0
+  );
+  const peerAvgPe = peers.length
+    ? sum(peers.map((p) => p.pe)) / peers.length
+    : null;
+  const premiumPct =
+    h.pe > 0 && peerAvgPe ? (h.pe / peerAvgPe - 1) * 100 : null;
+
+  const flags = [];
+  if (h.pe == null) flags.push("no_pe");
+  else if (h.pe <= 0) flags.push("negative_earnings");
+  if (!peers.length) flags.push("no_peers");
+  if (premiumPct != null && premiumPct > outlierPct) {
+    flags.push("expensive_vs_peers");
+  }
+  if (premiumPct != null && premiumPct < -outlierPct) {
+    flags.push("cheap_vs_peers");
+  }
+
+  return {
+    peerCount: peers.length,
+    peerAvgPe,
+    premiumPct,
+    outlier: flags.some((f) =>
+      ["negative_earnings", "expensive_vs_peers", "cheap_vs_peers"].includes(f)
+    ),
+    flags,
+  };
+}
+
+async function computePortfolioFundamentals(
+  rows,
+  { symbolTimeoutMs = 6000, outlierPct = DEFAULT_OUTLIER_PCT } = {}
+) {
+  const base = transformRows(rows);
+
+  const uniq = new Map();
+  for (const h of base.holdings) {
+    const k = itemKey(h);
+    if (k.symbol) uniq.set(k.key, k);
+  }
+
+  const lookups = new Map();
+  await Promise.all(
+    Array.from(uniq.values()).map(async (i) => {
+      lookups.set(i.key, await fetchFundamentals(i, symbolTimeoutMs, FIELDS));
+    })
+  );
+
+  // Several rows of one instrument (accounts, lots) count once per sector.
+  const merged = new Map();
+  for (const h of base.holdings) {
+    const { key, symbol, exchange } = itemKey(h);
+    const prev = merged.get(key);
+    if (prev) {
+      prev.weight += h.portfolioPct;
+      prev.investment += h.investment;
+      continue;
+    }
+    const f = lookups.get(key) || {};
+    merged.set(key, {
+      key,
+      particulars: h.particulars,
+      symbol,
+      exchange,
+      sector: h.sector,
+      investment: h.investment,
+      weight: h.portfolioPct,
+      pe: f.metrics?.pe?.value ?? null,
+      latestEarnings: f.metrics?.latestEarnings?.value ?? null,
+      dividendYield: f.metrics?.dividendYield?.value ?? null,
+      ...(f.ok ? {} : { error: f.error || "No fundamentals returned" }),
+    });
+  }
+  const holdings = Array.from(merged.values());
+
+  const bySector = new Map();
+  for (const h of holdings) {
+    if (!bySector.has(h.sector)) bySector.set(h.sector, []);
+    bySector.get(h.sector).push(h);
+  }
+
+  const compared = holdings.map((h) => ({
+    ...h,
+    earningsYield: h.pe ? 100 / h.pe : null,
+    ...comparePeers(h, bySector.get(h.sector), outlierPct),
+  }));
+
+  const sectors = Array.from(bySector, ([sector, list]) => ({
+    sector,
+    weight: sum(list.map((h) => h.weight)),
+    ...aggregate(list),
+  }));
+
+  return {
+    portfolio: aggregate(holdings),
+    sectors,
+    holdings: compared,
+    outliers: compared.filter((h) => h.outlier).map((h) => h.key),
+    outlierPct,
+    ts: Date.now(),
+  };
+}
+
+module.exports = { computePortfolioFundamentals, DEFAULT_OUTLIER_PCT };
@@ -0,0 +1,163 @@
+const net = require("net");
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+function parseReply(buf, offset) {
+  const end = buf.indexOf("\r\n", offset);
+  if (end < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, end);
+  const next = end + 2;
+
+  if (type === "+") return { value: line, offset: next };
+  if (type === "-") {
+    const err = new Error(line);
+    err.code = "REDIS_ERROR";
+    return { value: err, offset: next };
+  }
+  if (type === ":") return { value: Number(line), offset: next };
+  if (type === "$") {
+    const len = Number(line);
+    if (len < 0) return { value: null, offset: next };
+    if (buf.length < next + len + 2) return null;
+    return {
+      value: buf.toString("utf8", next, next + len),
+      offset: next + len + 2,
+    };
+  }
+  if (type === "*") {
+    const n = Number(line);
+    if (n < 0) return { value: null, offset: next };
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < n; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      items.push(r.value);
+      pos = r.offset;
+    }
+    return { value: items, offset: pos };
+  }
+  throw new Error(`Unexpected Redis reply type: ${type}`);
+}
+
+function createRedisClient(
+  url = "redis://127.0.0.1:6379",
+  { connectTimeoutMs = 1000, commandTimeoutMs = 2000 } = {}
+) {
+  const u = new URL(url);
+  const pending = [];
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+
+  function fail(err) {
+    while (pending.length) pending.shift().reject(err);
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let r;
+    try {
+      while (buffer.length && (r = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(r.offset);
+        const p = pending.shift();
+        if (!p) continue;
+        clearTimeout(p.timer);
+        if (r.value instanceof Error) p.reject(r.value);
+        else p.resolve(r.value);
+      }
+      if (!pending.length && socket) socket.unref();
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  function write(s, args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => fail(new Error(`Redis ${args[0]} timeout`)),
+        commandTimeoutMs
+      );
+      timer.unref?.();
+      pending.push({
+        resolve,
+        reject: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        },
+        timer,
+      });
+      s.ref();
+      s.write(encode(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const s = net.createConnection({
+        host: u.hostname || "127.0.0.1",
+        port: Number(u.port || 6379),
+      });
+      const timer = setTimeout(
+        () => s.destroy(new Error("Redis connect timeout")),
+        connectTimeoutMs
+      );
+      s.setNoDelay(true);
+      s.on("data", onData);
+      s.once("connect", () => {
+        clearTimeout(timer);
+        socket = s;
+        resolve(s);
+      });
+      s.on("error", (err) => {
+        clearTimeout(timer);
+        reject(err);
+        if (socket === s) fail(err);
+      });
+      s.on("close", () => {
+        if (socket === s) fail(new Error("Redis connection closed"));
+      });
+    }).then(async (s) => {
+      try {
+        const password = decodeURIComponent(u.password || "");
+        if (password) {
+          const user = decodeURIComponent(u.username || "");
+          await write(s, user ? ["AUTH", user, password] : ["AUTH", password]);
+        }
+        const db = Number(u.pathname.slice(1));
+        if (db) await write(s, ["SELECT", db]);
+      } catch (err) {
+        fail(err);
+        throw err;
+      }
+      return s;
+    });
+    ready.catch(() => (ready = null));
+    return ready;
+  }
+
+  return {
+    url: `${u.protocol}//${u.host}${u.pathname}`,
+    async command(...args) {
+      return write(await connect(), args);
+    },
+    close() {
+      fail(new Error("Redis client closed"));
+    },
+  };
+}
+
+module.exports = { createRedisClient };
@@ -0,0 +1,92 @@
+const { daysBetween } = require("./dates");
+
+function xirr(flows) {
+  if (flows.length < 2) return null;
+  if (!flows.some((f) => f.amount < 0) || !flows.some((f) => f.amount > 0)) {
+    return null;
+  }
+
+  const t0 = flows.reduce((m, f) => (f.date < m ? f.date : m), flows[0].date);
+  const pts = flows.map((f) => ({
+    t: daysBetween(t0, f.date) / 365,
+    a: f.amount,
+  }));
+  const npv = (r) => pts.reduce((s, p) => s + p.a / Math.pow(1 + r, p.t), 0);
+  const dnpv = (r) =>
+    pts.reduce((s, p) => s - (p.t * p.a) / Math.pow(1 + r, p.t + 1), 0);
+
+  let r = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const v = npv(r);
+    const d = dnpv(r);
+    if (!Number.isFinite(v) || !Number.isFinite(d) || d === 0) break;
+    const next = r - v / d;
+    if (next <= -1) break;
+    if (Math.abs(next - r) < 1e-9) return next;
+    r = next;
+  }
+
+  let lo = -0.9999;
+  let hi = 100;
+  let fLo = npv(lo);
+  if (fLo * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid);
+    if (Math.abs(fMid) < 1e-7) return mid;
+    if (fLo * fMid < 0) hi = mid;
+    else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+const TRADING_DAYS = 252;
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, x) => a + x, 0) / xs.length : null;
+}
+
+function covariance(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+  const mx = mean(xs.slice(0, n));
+  const my = mean(ys.slice(0, n));
+  let s = 0;
+  for (let i = 0; i < n; i++) s += (xs[i] - mx) * (ys[i] - my);
+  return s / (n - 1);
+}
+
+function stdev(xs) {
+  const v = covariance(xs, xs);
+  return v == null ? null : Math.sqrt(v);
+}
+
+function correlation(xs, ys) {
+  const c = covariance(xs, ys);
+  const sx = stdev(xs);
+  const sy = stdev(ys);
+  return c == null || !sx || !sy ? null : c / (sx * sy);
+}
+
+function maxDrawdown(values) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const v of values) {
+    if (v > peak) peak = v;
+    if (peak > 0) worst = Math.min(worst, v / peak - 1);
+  }
+  return worst;
+}
+
+module.exports = {
+  TRADING_DAYS,
+  xirr,
+  mean,
+  covariance,
+  stdev,
+  correlation,
+  maxDrawdown,
+};
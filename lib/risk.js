@@ -0,0 +1,222 @@
+const { transformRows } = require("./excel");
+const { getHistory } = require("./history");
+const { resolveBenchmark } = require("./benchmarks");
+const { normalizeItemSymbolExchange } = require("./symbols");
+const {
+  TRADING_DAYS,
+  mean,
+  covariance,
+  stdev,
+  correlation,
+  maxDrawdown,
+} = require("./returns");
+
+const DEFAULT_RISK_FREE_RATE = Number(process.env.RISK_FREE_RATE || 0.065);
+
+async function fetchCloses(symbol, exchange, range) {
+  const h = await getHistory({ symbol, exchange, range, interval: "1d" });
+  if (!h.bars.length) throw new Error("No price history returned");
+  return new Map(h.bars.map((b) => [b.date.slice(0, 10), b.close]));
+}
+
+function alignToGrid(grid, closes) {
+  let last = null;
+  return grid.map((d) => {
+    if (closes.has(d)) last = closes.get(d);
+    return last;
+  });
+}
+
+function toReturns(prices) {
+  return prices.map((p, i) => {
+    const prev = prices[i - 1];
+    return i > 0 && p != null && prev ? p / prev - 1 : null;
+  });
+}
+
+function paired(a, b) {
+  const xs = [];
+  const ys = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] != null && b[i] != null) {
+      xs.push(a[i]);
+      ys.push(b[i]);
+    }
+  }
+  return [xs, ys];
+}
+
+function seriesStats(returns, benchReturns, riskFreeRate) {
+  const r = returns.filter((x) => x != null);
+  const sd = stdev(r);
+  const volatility = sd == null ? null : sd * Math.sqrt(TRADING_DAYS);
+  const annualizedReturn = r.length ? mean(r) * TRADING_DAYS : null;
+
+  let beta = null;
+  if (benchReturns) {
+    const [xs, ys] = paired(returns, benchReturns);
+    const v = covariance(ys, ys);
+    beta = v ? covariance(xs, ys) / v : null;
+  }
+
+  return {
+    volatility,
+    annualizedReturn,
+    beta,
+    sharpe:
+      volatility && annualizedReturn != null
+        ? (annualizedReturn - riskFreeRate) / volatility
+        : null,
+    observations: r.length,
+  };
+}
+
+function herfindahl(weights) {
+  return weights.reduce((a, w) => a + w * w, 0);
+}
+
+function concentration(assets, sectors, totalInvestment, topN) {
+  const byWeight = assets.slice().sort((a, b) => b.weight - a.weight);
+  const holdingW = byWeight.map((a) => a.weight / 100);
+  const sectorW = sectors.map((s) =>
+    totalInvestment ? s.totalInvestment / totalInvestment : 0
+  );
+  const hhiHoldings = herfindahl(holdingW);
+  const hhiSectors = herfindahl(sectorW);
+
+  return {
+    topN: {
+      n: topN,
+      weightPct: byWeight.slice(0, topN).reduce((a, x) => a + x.weight, 0),
+      holdings: byWeight
+        .slice(0, topN)
+        .map((a) => ({ symbol: a.key, weightPct: a.weight })),
+    },
+    herfindahl: { byHolding: hhiHoldings, bySector: hhiSectors },
+    effectiveHoldings: hhiHoldings ? 1 / hhiHoldings : null,
+    effectiveSectors: hhiSectors ? 1 / hhiSectors : null,
+  };
+}
+
+async function computeRisk(
+  rows,
+  {
+    range = "1y",
+    riskFreeRate = DEFAULT_RISK_FREE_RATE,
+    benchmark = "NIFTY50",
+    topN = 5,
+  } = {}
+) {
+  const base = transformRows(rows);
+  const benchSymbol = resolveBenchmark(benchmark);
+
+  const byKey = new Map();
+  for (const h of base.holdings) {
+    const { symbol, exchange } = normalizeItemSymbolExchange(h);
+    const key = `${symbol}:${exchange}`;
+    const a = byKey.get(key) || {
+      key,
+      symbol,
+      exchange,
+      particulars: h.particulars,
+      sector: h.sector,
+      weight: 0,
+    };
+    a.weight += h.portfolioPct;
+    byKey.set(key, a);
+  }
+  const assets = Array.from(byKey.values());
+
+  const excluded = [];
+  const [benchCloses, ...assetCloses] = await Promise.all([
+    fetchCloses(benchSymbol, undefined, range).catch(() => null),
+    ...assets.map((a) =>
+      fetchCloses(a.symbol, a.exchange, range).catch((err) => {
+        excluded.push({
+          symbol: a.symbol,
+          exchange: a.exchange,
+          reason: "no_price_history",
+          error: err?.message || String(err),
+        });
+        return null;
+      })
+    ),
+  ]);
+
+  const priced = assets
+    .map((a, i) => ({ ...a, closes: assetCloses[i] }))
+    .filter((a) => a.closes);
+
+  const gridSet = new Set(benchCloses ? benchCloses.keys() : []);
+  if (!benchCloses) {
+    for (const a of priced) for (const d of a.closes.keys()) gridSet.add(d);
+  }
+  const grid = Array.from(gridSet).sort();
+
+  const benchReturns = benchCloses
+    ? toReturns(alignToGrid(grid, benchCloses))
+    : null;
+
+  for (const a of priced) {
+    a.prices = alignToGrid(grid, a.closes);
+    a.returns = toReturns(a.prices);
+  }
+
+  const portfolioReturns = grid.map((_d, i) => {
+    let sum = 0;
+    let w = 0;
+    for (const a of priced) {
+      if (a.returns[i] == null) continue;
+      sum += a.weight * a.returns[i];
+      w += a.weight;
+    }
+    return w ? sum / w : null;
+  });
+
+  let idx = 100;
+  const portfolioIndex = portfolioReturns.map((r) => (idx *= 1 + (r || 0)));
+
+  const holdings = priced.map((a) => ({
+    symbol: a.symbol,
+    exchange: a.exchange,
+    particulars: a.particulars,
+    sector: a.sector,
+    weightPct: a.weight,
+    ...seriesStats(a.returns, benchReturns, riskFreeRate),
+    maxDrawdown: maxDrawdown(a.prices.filter((p) => p != null)),
+  }));
+
+  const matrix = priced.map((a) =>
+    priced.map((b) =>
+      a === b ? 1 : correlation(...paired(a.returns, b.returns))
+    )
+  );
+
+  return {
+    range,
+    riskFreeRate,
+    benchmark: benchCloses
+      ? {
+          symbol: benchSymbol,
+          ...seriesStats(benchReturns, null, riskFreeRate),
+          maxDrawdown: maxDrawdown(Array.from(benchCloses.values())),
+        }
+      : { symbol: benchSymbol, error: "No benchmark history returned" },
+    portfolio: {
+      ...seriesStats(portfolioReturns, benchReturns, riskFreeRate),
+      maxDrawdown: maxDrawdown(portfolioIndex),
+    },
+    holdings,
+    correlation: { symbols: priced.map((a) => a.key), matrix },
+    concentration: concentration(
+      assets,
+      base.sectors,
+      base.totalInvestment,
+      topN
+    ),
+    excluded,
+    ts: Date.now(),
+  };
+}
+
+module.exports = { computeRisk, DEFAULT_RISK_FREE_RATE };
@@ -1,6 +1,17 @@
 const { request, setGlobalDispatcher, Agent } = require("undici");
-const cheerio = require("cheerio");
 const Bottleneck = require("bottleneck");
+const { parseIndianNumber } = require("./units");
+const {
+  withBreaker,
+  hostOf,
+  isCircuitOpen,
+  checkResponse,
+} = require("./breaker");
+const {
+  FUNDAMENTAL_LABELS,
+  pageContext,
+  runExtractor,
+} = require("./extractors");
 
 setGlobalDispatcher(
   new Agent({
@@ -11,8 +22,6 @@ setGlobalDispatcher(
 
 const limiter = new Bottleneck({ minTime: 120, maxConcurrent: 8 });
 
-const NUM = /-?\d{1,3}(?:,\d{3})*(?:\.\d+)?|-?\d+(?:\.\d+)?/;
-
 function gfUrl(symbol, exchange) {
   return `https://www.google.com/finance/quote/${encodeURIComponent(
     `${symbol}:${exchange}`
@@ -23,7 +32,7 @@ async function fetchHtml(url, { timeoutMs = 6000, signal } = {}) {
   const link = signal ? AbortSignal.any([signal, ac.signal]) : ac.signal;
   const t = setTimeout(() => ac.abort(new Error("fetch timeout")), timeoutMs);
   try {
-    const { body } = await request(url, {
+    const res = await request(url, {
       signal: link,
       headers: {
         "user-agent":
@@ -34,57 +43,18 @@ async function fetchHtml(url, { timeoutMs = 6000, signal } = {}) {
       headersTimeout: timeoutMs,
       bodyTimeout: timeoutMs,
     });
-    return body.text();
+    await checkResponse(res, url);
+    return res.body.text();
   } finally {
     clearTimeout(t);
   }
 }
-function extractFirstNumber(text) {
-  if (!text) return null;
-  const m = text.replace(/\s+/g, " ").match(NUM);
-  return m ? m[0] : null;
-}
-
-function getMetric($, labels) {
-  const wanted = new Set(labels.map((s) => s.toLowerCase()));
-  const nodes = $("span,div,td");
-  const texts = nodes.map((_i, n) => $(n).text().trim()).get();
-
-  const isWanted = (t) =>
-    wanted.has(
-      String(t || "")
-        .trim()
-        .toLowerCase()
-    );
-
-  for (let i = 0; i < texts.length; i++) {
-    if (!isWanted(texts[i])) continue;
-    for (let j = i + 1; j < Math.min(i + 10, texts.length); j++) {
-      const t = texts[j];
-      if (!t || t.length > 60) continue;
-      const val = extractFirstNumber(t);
-      if (val) return val;
-    }
-  }
-
-  const labelNodes = nodes.filter((_i, el) => isWanted($(el).text()));
-  for (const el of labelNodes) {
-    let cur = $(el).next();
-    for (let k = 0; k < 8 && cur && cur.length; k++) {
-      const val = extractFirstNumber(cur.text().trim());
-      if (val) return val;
-      cur = cur.next();
-    }
-  }
-  return null;
-}
-
 async function fetchHtml(url, { timeoutMs = 8000 } = {}) {
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(new Error("fetch timeout")), timeoutMs);
 
   try {
-    const { body } = await request(url, {
+    const res = await request(url, {
       signal: ac.signal,
       headers: {
         "user-agent":
@@ -95,7 +65,8 @@ async function fetchHtml(url, { timeoutMs = 8000 } = {}) {
       headersTimeout: timeoutMs,
       bodyTimeout: timeoutMs,
     });
-    return body.text();
+    await checkResponse(res, url);
+    return res.body.text();
   } finally {
     clearTimeout(t);
   }
@@ -103,30 +74,21 @@ async function fetchHtml(url, { timeoutMs = 8000 } = {}) {
 
 async function scrapeFundamentalsOnce(symbol, exchange) {
   const url = gfUrl(symbol, exchange);
-  const html = await fetchHtml(url);
-  const $ = cheerio.load(html);
-
-  const PE_LABELS = [
-    "P/E ratio",
-    "P/E ratio (TTM)",
-    "Price to earnings ratio",
-    "Price-to-earnings ratio",
-  ];
-  const EPS_LABELS = [
-    "Earnings per share",
-    "EPS (TTM)",
-    "Diluted EPS (TTM)",
-    "EPS",
-  ];
+  const html = await withBreaker(hostOf(url), () => fetchHtml(url));
+  const page = pageContext(html);
 
-  const pe = getMetric($, PE_LABELS);
-  const eps = getMetric($, EPS_LABELS);
+  const text = {};
+  for (const key of Object.keys(FUNDAMENTAL_LABELS)) {
+    text[key] = runExtractor(`google.fundamentals.${key}`, page).value;
+  }
+  const { pe, latestEarnings, ...metrics } = text;
 
   return {
     symbol,
     exchange,
-    pe,
-    latestEarnings: eps,
+    pe: parseIndianNumber(pe),
+    latestEarnings: parseIndianNumber(latestEarnings),
+    metrics,
     source: url,
     ts: Date.now(),
   };
@@ -141,10 +103,11 @@ async function scrapeFundamentals(symbol, exchange, attempts = 2) {
       );
     } catch (err) {
       lastErr = err;
+      if (isCircuitOpen(err)) break;
       await new Promise((r) => setTimeout(r, 250 * (i + 1)));
     }
   }
   throw lastErr;
 }
 
-module.exports = { scrapeFundamentals };
+module.exports = { scrapeFundamentals, fetchHtml, gfUrl };
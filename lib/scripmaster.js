@@ -0,0 +1,213 @@
+const XLSX = require("xlsx");
+const { createStore } = require("./store");
+
+const store = createStore("symbols");
+let index = null;
+
+const ISIN_RX = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+
+function clean(v) {
+  return String(v ?? "")
+    .trim()
+    .toUpperCase();
+}
+
+function isIsin(v) {
+  return ISIN_RX.test(clean(v));
+}
+
+function buildIndex() {
+  const idx = {
+    byIsin: new Map(),
+    byNse: new Map(),
+    byBseCode: new Map(),
+    byBseId: new Map(),
+  };
+  for (const inst of store.all()) {
+    if (inst.isin) idx.byIsin.set(inst.isin, inst);
+    if (inst.nseSymbol) idx.byNse.set(inst.nseSymbol, inst);
+    if (inst.bseCode) idx.byBseCode.set(inst.bseCode, inst);
+    if (inst.bseId) idx.byBseId.set(inst.bseId, inst);
+  }
+  return idx;
+}
+
+function getIndex() {
+  if (!index) index = buildIndex();
+  return index;
+}
+
+function findByIsin(isin) {
+  return getIndex().byIsin.get(clean(isin)) ?? null;
+}
+
+function findByBseCode(code) {
+  return getIndex().byBseCode.get(clean(code)) ?? null;
+}
+
+function findListing(symbol, exchange) {
+  const s = clean(symbol);
+  const idx = getIndex();
+  if (isIsin(s)) return idx.byIsin.get(s) ?? null;
+  if (exchange === "BSE") {
+    return idx.byBseCode.get(s) ?? idx.byBseId.get(s) ?? null;
+  }
+  if (exchange === "NSE") return idx.byNse.get(s) ?? null;
+  return idx.byNse.get(s) ?? idx.byBseCode.get(s) ?? idx.byBseId.get(s) ?? null;
+}
+
+function readRows(buffer) {
+  const wb = XLSX.read(buffer, { type: "buffer", raw: true });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1 });
+  const headers = (rows[0] || []).map((h) =>
+    String(h || "")
+      .trim()
+      .toLowerCase()
+  );
+  return { headers, rows: rows.slice(1) };
+}
+
+function column(headers, ...names) {
+  for (const n of names) {
+    const i = headers.indexOf(n);
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+function parseNseEquityList(headers, rows) {
+  const c = {
+    symbol: column(headers, "symbol"),
+    name: column(headers, "name of company"),
+    series: column(headers, "series"),
+    isin: column(headers, "isin number", "isin"),
+  };
+  return rows
+    .filter((r) => r && !r.every((v) => v == null || v === ""))
+    .map((r) => ({
+      isin: clean(r[c.isin]) || null,
+      name: String(r[c.name] ?? "").trim() || null,
+      nseSymbol: clean(r[c.symbol]),
+      nseSeries: c.series !== -1 ? clean(r[c.series]) || null : null,
+    }))
+    .filter((x) => x.nseSymbol);
+}
+
+function parseBseScripMaster(headers, rows) {
+  const c = {
+    code: column(headers, "security code", "scrip code"),
+    id: column(headers, "security id", "scrip id"),
+    name: column(headers, "issuer name", "security name", "scrip name"),
+    status: column(headers, "status"),
+    group: column(headers, "group"),
+    isin: column(headers, "isin no", "isin number", "isin"),
+    instrument: column(headers, "instrument"),
+  };
+  return rows
+    .filter((r) => r && !r.every((v) => v == null || v === ""))
+    .filter(
+      (r) =>
+        c.instrument === -1 || /^equity/i.test(String(r[c.instrument] ?? ""))
+    )
+    .map((r) => ({
+      isin: clean(r[c.isin]) || null,
+      name: String(r[c.name] ?? "").trim() || null,
+      bseCode: clean(r[c.code]),
+      bseId: c.id !== -1 ? clean(r[c.id]) || null : null,
+      bseGroup: c.group !== -1 ? clean(r[c.group]) || null : null,
+      bseStatus:
+        c.status !== -1 ? String(r[c.status] ?? "").trim() || null : null,
+    }))
+    .filter((x) => /^\d+$/.test(x.bseCode));
+}
+
+function detectMasterFormat(headers) {
+  if (headers.includes("symbol") && headers.includes("name of company")) {
+    return "nse";
+  }
+  if (headers.includes("security code") || headers.includes("scrip code")) {
+    return "bse";
+  }
+  return null;
+}
+
+function instrumentId(rec) {
+  if (rec.isin && isIsin(rec.isin)) return rec.isin;
+  return rec.nseSymbol ? `NSE:${rec.nseSymbol}` : `BSE:${rec.bseCode}`;
+}
+
+function importScripMaster(buffer, filename) {
+  const { headers, rows } = readRows(buffer);
+  const format = detectMasterFormat(headers);
+  if (!format) {
+    const err = new Error(
+      `${
+        filename || "File"
+      } is neither an NSE EQUITY_L.csv nor a BSE scrip master`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  const records =
+    format === "nse"
+      ? parseNseEquityList(headers, rows)
+      : parseBseScripMaster(headers, rows);
+
+  const now = Date.now();
+  const entries = records.map((rec) => {
+    const id = instrumentId(rec);
+    const prev = store.get(id) || {};
+    const merged = { ...prev, id, updatedAt: now };
+    for (const [k, v] of Object.entries(rec)) {
+      if (v != null && !(k === "name" && prev.name)) merged[k] = v;
+    }
+    if (!isIsin(merged.isin)) merged.isin = null;
+    return [id, merged];
+  });
+  store.putMany(entries);
+  index = null;
+
+  return { file: filename || null, format, imported: entries.length };
+}
+
+function searchInstruments(q, limit = 20) {
+  const s = clean(q);
+  if (!s) return [];
+  const exact = findListing(s);
+  const out = exact ? [exact] : [];
+  for (const inst of store.all()) {
+    if (out.length >= limit) break;
+    if (inst === exact) continue;
+    if (
+      (inst.name && inst.name.toUpperCase().includes(s)) ||
+      (inst.nseSymbol && inst.nseSymbol.startsWith(s)) ||
+      (inst.bseId && inst.bseId.startsWith(s))
+    ) {
+      out.push(inst);
+    }
+  }
+  return out;
+}
+
+function symbolTableStats() {
+  const all = store.all();
+  return {
+    instruments: all.length,
+    nse: all.filter((i) => i.nseSymbol).length,
+    bse: all.filter((i) => i.bseCode).length,
+    crossListed: all.filter((i) => i.nseSymbol && i.bseCode).length,
+    updatedAt: all.reduce((m, i) => Math.max(m, i.updatedAt || 0), 0) || null,
+  };
+}
+
+module.exports = {
+  isIsin,
+  findByIsin,
+  findByBseCode,
+  findListing,
+  importScripMaster,
+  searchInstruments,
+  symbolTableStats,
+};
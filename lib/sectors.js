@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const { sectorCache, readThrough } = require("./cache");
+const { normalizeItemSymbolExchange } = require("./symbols");
+const { getAssetProfile } = require("./yahoo");
+const { withTimeout } = require("./timeout");
+const { resolveYahooSymbol } = require("./history");
+
+const SECTORS_FILE =
+  process.env.SECTORS_FILE ||
+  path.join(__dirname, "..", "config", "sectors.json");
+
+let taxonomy = null;
+
+const key = (s) =>
+  String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+sector$/, "");
+
+function loadTaxonomy() {
+  if (taxonomy) return taxonomy;
+  const raw = JSON.parse(fs.readFileSync(SECTORS_FILE, "utf8"));
+  const aliases = new Map();
+  const yahooSectors = new Map();
+  const yahooIndustries = new Map();
+
+  for (const g of raw.groups || []) {
+    aliases.set(key(g.name), g.name);
+    for (const a of g.aliases || []) aliases.set(key(a), g.name);
+    for (const s of g.yahooSectors || []) yahooSectors.set(key(s), g.name);
+    for (const i of g.yahooIndustries || []) {
+      yahooIndustries.set(key(i), g.name);
+    }
+  }
+
+  taxonomy = {
+    fallback: raw.default || "Others",
+    groups: (raw.groups || []).map((g) => g.name),
+    aliases,
+    yahooSectors,
+    yahooIndustries,
+  };
+  return taxonomy;
+}
+
+function isKnownSector(name) {
+  return loadTaxonomy().aliases.has(key(name));
+}
+
+function normalizeSectorName(name) {
+  const tx = loadTaxonomy();
+  if (!name) return tx.fallback;
+  const t = String(name).trim();
+
+  const alias = tx.aliases.get(key(t));
+  if (alias) return alias;
+
+  if (/\bSector$/i.test(t)) return t;
+
+  return tx.fallback;
+}
+
+function sectorFromProfile(profile) {
+  const tx = loadTaxonomy();
+  if (!profile || (!profile.sector && !profile.industry)) return null;
+
+  return (
+    tx.yahooIndustries.get(key(profile.industry)) ||
+    tx.yahooSectors.get(key(profile.sector)) ||
+    (profile.sector ? normalizeSectorName(`${profile.sector} Sector`) : null)
+  );
+}
+
+async function detectSector(item) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  const cacheKey = `${symbol}:${exchange}`;
+  const cached = await readThrough(sectorCache, cacheKey);
+  if (cached) return cached;
+
+  const yahooSymbol = await resolveYahooSymbol({ symbol, exchange });
+  const profile = await getAssetProfile(yahooSymbol);
+  const out = {
+    sector: sectorFromProfile(profile),
+    yahooSector: profile?.sector ?? null,
+    industry: profile?.industry ?? null,
+  };
+  sectorCache.set(cacheKey, out);
+  return out;
+}
+
+function hasOwnSector(row) {
+  if (row.sectorSource) return row.sectorSource !== "default";
+  return (
+    !!row.sector && normalizeSectorName(row.sector) !== loadTaxonomy().fallback
+  );
+}
+
+async function classifyHoldings(rows, { timeoutMs = 5000 } = {}) {
+  const lookups = new Map();
+  for (const r of rows) {
+    if (hasOwnSector(r)) continue;
+    const { symbol, exchange } = normalizeItemSymbolExchange(r);
+    const k = `${symbol}:${exchange}`;
+    if (!lookups.has(k)) {
+      lookups.set(
+        k,
+        withTimeout(detectSector({ symbol, exchange }), timeoutMs).catch(
+          () => null
+        )
+      );
+    }
+  }
+
+  const results = new Map();
+  for (const [k, p] of lookups) results.set(k, await p);
+
+  return rows.map((r) => {
+    if (hasOwnSector(r)) {
+      return { ...r, sectorSource: r.sectorSource || "provided" };
+    }
+    const { symbol, exchange } = normalizeItemSymbolExchange(r);
+    const found = results.get(`${symbol}:${exchange}`);
+    if (found && found.sector) {
+      return {
+        ...r,
+        sector: found.sector,
+        sectorSource: "yahoo",
+        industry: found.industry,
+      };
+    }
+    return { ...r, sector: loadTaxonomy().fallback, sectorSource: "default" };
+  });
+}
+
+module.exports = {
+  loadTaxonomy,
+  isKnownSector,
+  normalizeSectorName,
+  classifyHoldings,
+};
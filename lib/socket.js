@@ -0,0 +1,67 @@
+const { WebSocketServer } = require("ws");
+const { resolveStreamInput, openPriceStream } = require("./stream");
+
+const WS_PATH = "/api/stream/ws";
+
+function attachPriceSocket(server) {
+  const wss = new WebSocketServer({ server, path: WS_PATH });
+
+  wss.on("connection", (socket, req) => {
+    let close = null;
+
+    const send = (event, data) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify({ event, data }));
+      }
+    };
+
+    const subscribe = (params) => {
+      try {
+        const input = resolveStreamInput(params);
+        if (close) close();
+        close = null;
+        close = openPriceStream(input, send);
+      } catch (err) {
+        send("error", { error: err.message, status: err.status || 500 });
+      }
+    };
+
+    const url = new URL(req.url, "http://localhost");
+    const query = Object.fromEntries(url.searchParams);
+    if (query.symbols || query.portfolioId) subscribe(query);
+
+    socket.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch {
+        return send("error", { error: "Messages must be JSON", status: 400 });
+      }
+      if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+        return send("error", {
+          error: "Messages must be JSON objects",
+          status: 400,
+        });
+      }
+      try {
+        if (msg.action === "subscribe") return subscribe(msg);
+        if (msg.action === "unsubscribe") {
+          if (close) close();
+          close = null;
+          return send("unsubscribed", {});
+        }
+        send("error", { error: "Unknown action", status: 400 });
+      } catch (err) {
+        send("error", { error: err.message, status: err.status || 500 });
+      }
+    });
+
+    socket.on("close", () => {
+      if (close) close();
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { attachPriceSocket, WS_PATH };
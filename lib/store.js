@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+// Writes are coalesced so bulk edits don't rewrite the whole file each time.
+const FLUSH_MS = 250;
+
+const stores = new Map();
+
+function createStore(name) {
+  if (stores.has(name)) return stores.get(name);
+
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let docs = null;
+
+  function load() {
+    if (docs) return docs;
+    try {
+      // Ids come from URLs; keep "constructor", "__proto__" etc. plain keys.
+      docs = Object.assign(
+        Object.create(null),
+        JSON.parse(fs.readFileSync(file, "utf8"))
+      );
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      docs = Object.create(null);
+    }
+    return docs;
+  }
+
+  let timer = null;
+
+  function write() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(docs));
+    fs.renameSync(tmp, file);
+  }
+
+  function flushSoon() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        write();
+      } catch (err) {
+        console.error(`store ${name} flush failed:`, err?.message || err);
+      }
+    }, FLUSH_MS);
+  }
+
+  const store = {
+    flush() {
+      if (timer) write();
+    },
+    all() {
+      return Object.values(load());
+    },
+    get(id) {
+      const all = load();
+      return Object.hasOwn(all, id) ? all[id] : null;
+    },
+    put(id, doc) {
+      load()[id] = doc;
+      flushSoon();
+      return doc;
+    },
+    putMany(entries) {
+      const all = load();
+      for (const [id, doc] of entries) all[id] = doc;
+      flushSoon();
+      return entries.length;
+    },
+    remove(id) {
+      const all = load();
+      if (!Object.hasOwn(all, id)) return false;
+      delete all[id];
+      flushSoon();
+      return true;
+    },
+  };
+
+  stores.set(name, store);
+  return store;
+}
+
+function flushStores() {
+  for (const store of stores.values()) store.flush();
+}
+
+process.on("exit", flushStores);
+
+module.exports = { createStore, flushStores, DATA_DIR };
@@ -0,0 +1,276 @@
+const { fetchPrice } = require("./prices");
+const { normalizeItemSymbolExchange } = require("./symbols");
+const { transformRows } = require("./excel");
+const { getHoldingRows } = require("./portfolios");
+const { marketState } = require("./market");
+
+const OPEN_INTERVAL_MS = Number(process.env.STREAM_INTERVAL_MS || 5000);
+const CLOSED_INTERVAL_MS = Number(
+  process.env.STREAM_CLOSED_INTERVAL_MS || 5 * 60_000
+);
+const MAX_BACKOFF_MS = 5 * 60_000;
+const MAX_SYMBOLS = 100;
+const MAX_STREAMS = Number(process.env.STREAM_MAX_CONNECTIONS || 200);
+const MAX_POLLERS = Number(process.env.STREAM_MAX_POLLERS || 500);
+// Ticks of one poll round arrive a few ms apart; value the portfolio once.
+const PORTFOLIO_COALESCE_MS = 500;
+
+const pollers = new Map();
+let openStreams = 0;
+
+function itemKey(item) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  return { key: `${symbol}:${exchange}`, symbol, exchange };
+}
+
+function intervalFor(state) {
+  return state === "closed" ? CLOSED_INTERVAL_MS : OPEN_INTERVAL_MS;
+}
+
+function nextDelay(p) {
+  const base = intervalFor(marketState());
+  if (!p.failures) return base;
+  return Math.min(base * 2 ** p.failures, Math.max(MAX_BACKOFF_MS, base));
+}
+
+function schedule(p, delay = nextDelay(p)) {
+  if (p.stopped) return;
+  p.timer = setTimeout(() => poll(p), delay);
+  p.timer.unref?.();
+}
+
+async function poll(p) {
+  p.timer = null;
+  let r;
+  try {
+    r = await fetchPrice(p.item);
+  } catch (err) {
+    r = { ok: false, error: err?.message || String(err) };
+  }
+  if (p.stopped) return;
+
+  const ok = r.ok && r.price != null;
+  p.failures = ok ? 0 : p.failures + 1;
+  const prevPrice = p.last?.price ?? null;
+  const tick = {
+    key: p.item.key,
+    symbol: p.item.symbol,
+    exchange: p.item.exchange,
+    ok,
+    price: ok ? r.price : prevPrice,
+    prevPrice,
+    change: ok && prevPrice != null ? r.price - prevPrice : null,
+    currency: r.currency ?? p.last?.currency ?? null,
+    source: r.source || null,
+    marketState: r.marketState ?? marketState(),
+    asOf: ok ? r.asOf ?? null : p.last?.asOf ?? null,
+    isStale: ok ? !!r.isStale : true,
+    ts: Date.now(),
+    ...(ok ? {} : { error: r.error || "No price returned" }),
+  };
+  if (ok) p.last = tick;
+
+  for (const fn of p.listeners) fn(tick);
+  schedule(p);
+}
+
+function subscribePrice(input, listener) {
+  const item = itemKey(input);
+  let p = pollers.get(item.key);
+  if (!p) {
+    p = {
+      item,
+      listeners: new Set(),
+      last: null,
+      failures: 0,
+      timer: null,
+      stopped: false,
+    };
+    pollers.set(item.key, p);
+    schedule(p, 0);
+  } else if (p.last) {
+    const last = p.last;
+    setImmediate(() => p.listeners.has(listener) && listener(last));
+  }
+  p.listeners.add(listener);
+
+  return () => {
+    p.listeners.delete(listener);
+    if (p.listeners.size) return;
+    p.stopped = true;
+    clearTimeout(p.timer);
+    pollers.delete(item.key);
+  };
+}
+
+function valueHoldings(holdings, prices) {
+  const valued = holdings.map((h) => {
+    const { key, symbol, exchange } = itemKey(h);
+    const cmp = prices.get(key) ?? null;
+    const presentValue = cmp != null ? cmp * (h.qty || 0) : null;
+    const gainLoss = presentValue != null ? presentValue - h.investment : null;
+    return {
+      particulars: h.particulars,
+      symbol,
+      exchange,
+      sector: h.sector,
+      qty: h.qty,
+      investment: h.investment,
+      cmp,
+      presentValue,
+      gainLoss,
+      gainLossPct:
+        gainLoss != null && h.investment
+          ? (gainLoss / h.investment) * 100
+          : null,
+    };
+  });
+
+  const priced = valued.filter((h) => h.presentValue != null);
+  const pricedInvestment = priced.reduce((a, h) => a + h.investment, 0);
+  const totalPresentValue = priced.reduce((a, h) => a + h.presentValue, 0);
+  const totalGainLoss = totalPresentValue - pricedInvestment;
+
+  return {
+    totalInvestment: valued.reduce((a, h) => a + h.investment, 0),
+    totalPresentValue,
+    totalGainLoss,
+    totalGainLossPct: pricedInvestment
+      ? (totalGainLoss / pricedInvestment) * 100
+      : null,
+    pricedCount: priced.length,
+    unpricedCount: valued.length - priced.length,
+    holdings: valued,
+    ts: Date.now(),
+  };
+}
+
+function parseSymbolList(symbols) {
+  const list = Array.isArray(symbols) ? symbols : String(symbols).split(",");
+  return list
+    .map((s) => (typeof s === "string" ? s.trim() : s))
+    .filter(Boolean)
+    .map((s) => {
+      if (typeof s !== "string") return s;
+      const [symbol, exchange] = s.split(":");
+      return { symbol, exchange };
+    });
+}
+
+function resolveStreamInput({ symbols, items, portfolioId } = {}) {
+  let out;
+  if (portfolioId) {
+    const rows = getHoldingRows(String(portfolioId));
+    if (!rows) {
+      const err = new Error("Portfolio not found");
+      err.status = 404;
+      throw err;
+    }
+    out = { rows };
+  } else if (Array.isArray(items) && items.length) {
+    out = { items };
+  } else if (symbols && symbols.length) {
+    out = { items: parseSymbolList(symbols) };
+  } else {
+    const err = new Error("Provide symbols, items[] or portfolioId");
+    err.status = 400;
+    throw err;
+  }
+
+  const count = out.rows ? out.rows.length : out.items.length;
+  if (count > MAX_SYMBOLS) {
+    const err = new Error(`At most ${MAX_SYMBOLS} symbols per stream`);
+    err.status = 400;
+    throw err;
+  }
+  return out;
+}
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.status = 503;
+  return err;
+}
+
+function checkCapacity(keys) {
+  if (openStreams >= MAX_STREAMS) {
+    throw unavailable(`Too many open streams (max ${MAX_STREAMS})`);
+  }
+  const added = keys.filter((k) => !pollers.has(k)).length;
+  if (pollers.size + added > MAX_POLLERS) {
+    throw unavailable(`Too many symbols being streamed (max ${MAX_POLLERS})`);
+  }
+}
+
+function openPriceStream({ items = [], rows = null }, send) {
+  const base = rows ? transformRows(rows) : null;
+  const unique = new Map();
+  for (const i of base ? base.holdings : items) {
+    const k = itemKey(i);
+    if (k.symbol) unique.set(k.key, k);
+  }
+  checkCapacity(Array.from(unique.keys()));
+  openStreams += 1;
+
+  const prices = new Map();
+  let valueTimer = null;
+  const sendPortfolio = () => {
+    valueTimer = null;
+    send("portfolio", valueHoldings(base.holdings, prices));
+  };
+
+  const offs = Array.from(unique.values()).map((item) =>
+    subscribePrice(item, (tick) => {
+      send("tick", tick);
+      if (!base || !tick.ok) return;
+      prices.set(tick.key, tick.price);
+      if (!valueTimer) {
+        valueTimer = setTimeout(sendPortfolio, PORTFOLIO_COALESCE_MS);
+        valueTimer.unref?.();
+      }
+    })
+  );
+
+  send("subscribed", {
+    symbols: Array.from(unique.keys()),
+    portfolio: !!base,
+    marketState: marketState(),
+    intervalMs: intervalFor(marketState()),
+  });
+
+  let closed = false;
+  return () => {
+    if (closed) return;
+    closed = true;
+    openStreams -= 1;
+    clearTimeout(valueTimer);
+    offs.forEach((off) => off());
+  };
+}
+
+function streamUsage() {
+  return {
+    streams: openStreams,
+    maxStreams: MAX_STREAMS,
+    activePollers: pollers.size,
+    maxPollers: MAX_POLLERS,
+  };
+}
+
+function streamStats() {
+  return Array.from(pollers.values()).map((p) => ({
+    key: p.item.key,
+    listeners: p.listeners.size,
+    failures: p.failures,
+    lastPrice: p.last?.price ?? null,
+    lastTs: p.last?.ts ?? null,
+  }));
+}
+
+module.exports = {
+  subscribePrice,
+  resolveStreamInput,
+  openPriceStream,
+  streamStats,
+  streamUsage,
+};
@@ -1,4 +1,6 @@
 // lib/symbols.js
+const { isIsin, findByIsin, findListing } = require("./scripmaster");
+
 function isNumericSymbol(s) {
   return /^\d+$/.test(String(s || "").trim());
 }
@@ -9,22 +11,51 @@ function cleanSym(v) {
     .toUpperCase();
 }
 
+function listingOn(inst, exchange) {
+  if (inst.bseCode && (exchange === "BSE" || !inst.nseSymbol)) {
+    return { symbol: inst.bseCode, exchange: "BSE" };
+  }
+  return { symbol: inst.nseSymbol, exchange: "NSE" };
+}
+
 function normalizeItemSymbolExchange(input = {}) {
   const symbolRaw = input.symbol ?? input.code ?? input.ticker ?? "";
   const symbol = cleanSym(symbolRaw);
-
   let exchange = cleanSym(input.exchange);
+
+  const isin = isIsin(input.isin) ? cleanSym(input.isin) : null;
+  if ((isin && !symbol) || isIsin(symbol)) {
+    const inst = findByIsin(isin || symbol);
+    if (inst) return listingOn(inst, exchange);
+  }
+
   if (exchange !== "NSE" && exchange !== "BSE") {
-    exchange = isNumericSymbol(symbol) ? "BSE" : "NSE";
+    const inst = isNumericSymbol(symbol) ? null : findListing(symbol);
+    exchange =
+      isNumericSymbol(symbol) || (inst && inst.nseSymbol !== symbol)
+        ? "BSE"
+        : "NSE";
   }
   return { symbol, exchange };
 }
 
+function instrumentKey(input = {}) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(input);
+  const isin = isIsin(input.isin)
+    ? cleanSym(input.isin)
+    : findListing(symbol, exchange)?.isin;
+  return isin || `${symbol}:${exchange}`;
+}
+
 function toYahoo(symbol, exchange) {
   const { symbol: s0, exchange: ex } = normalizeItemSymbolExchange({
     symbol,
     exchange,
   });
+  if (ex === "BSE" && isNumericSymbol(s0)) {
+    const bseId = findListing(s0, "BSE")?.bseId;
+    if (bseId) return `${bseId}.BO`;
+  }
   return ex === "BSE" ? `${s0}.BO` : `${s0}.NS`;
 }
 
@@ -40,7 +71,9 @@ function toGooglePath(symbol, exchange) {
 module.exports = {
   isNumericSymbol,
   cleanSym,
+  isIsin,
   normalizeItemSymbolExchange,
+  instrumentKey,
   toYahoo,
   toGooglePath,
 };
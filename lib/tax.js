@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { buildLedger } = require("./ledger");
+
+const RULES_FILE =
+  process.env.TAX_RULES_FILE ||
+  path.join(__dirname, "..", "config", "tax-rules.json");
+
+function loadRules() {
+  return JSON.parse(fs.readFileSync(RULES_FILE, "utf8"));
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseFy(fy) {
+  const m = String(fy || "").match(/^(\d{4})-(\d{2}|\d{4})$/);
+  if (!m) throw badRequest(`Invalid financial year: ${fy} (expected 2025-26)`);
+  const start = Number(m[1]);
+  if ((start + 1) % 100 !== Number(m[2]) % 100) {
+    throw badRequest(`Invalid financial year: ${fy}`);
+  }
+  const label = `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+  return { label, from: `${start}-04-01`, to: `${start + 1}-03-31` };
+}
+
+function currentFy(now = new Date()) {
+  const y = now.getUTCFullYear();
+  const start = now.getUTCMonth() >= 3 ? y : y - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+function addMonths(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1 + n, 1));
+  const last = new Date(
+    Date.UTC(dt.getUTCFullYear(), dt.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  dt.setUTCDate(Math.min(d, last));
+  return dt.toISOString().slice(0, 10);
+}
+
+function ratesOn(yearRules, date) {
+  let rates = {
+    stcgRate: yearRules.stcgRate,
+    ltcgRate: yearRules.ltcgRate,
+  };
+  for (const c of yearRules.changes || []) {
+    if (date >= c.from) rates = { ...rates, ...c };
+  }
+  return rates;
+}
+
+function classifyLot(r, rules, yearRules) {
+  const ltAfter = addMonths(r.buyDate, rules.ltcgHoldingMonths);
+  const term = r.sellDate > ltAfter ? "LTCG" : "STCG";
+
+  let costPrice = r.buyPrice;
+  let grandfathered = false;
+  if (term === "LTCG" && r.buyDate <= rules.grandfatheringDate) {
+    if (r.fmv != null) {
+      const fmvCost = Math.min(r.fmv, r.sellPrice);
+      if (fmvCost > costPrice) {
+        costPrice = fmvCost;
+        grandfathered = true;
+      }
+    }
+  }
+
+  const rates = ratesOn(yearRules, r.sellDate);
+  return {
+    ...r,
+    term,
+    costPrice,
+    grandfathered,
+    gain: (r.sellPrice - costPrice) * r.qty,
+    rate: term === "LTCG" ? rates.ltcgRate : rates.stcgRate,
+  };
+}
+
+function bucketize(lots) {
+  const buckets = new Map();
+  for (const l of lots) {
+    const b = buckets.get(l.rate) || { rate: l.rate, gains: 0, losses: 0 };
+    if (l.gain >= 0) b.gains += l.gain;
+    else b.losses -= l.gain;
+    buckets.set(l.rate, b);
+  }
+  return Array.from(buckets.values())
+    .sort((a, b) => b.rate - a.rate)
+    .map((b) => ({ ...b, taxable: b.gains }));
+}
+
+// Absorb `amount` from the highest-rate buckets first and return what is left.
+function absorb(buckets, amount) {
+  let left = amount;
+  for (const b of buckets) {
+    const used = Math.min(b.taxable, left);
+    b.taxable -= used;
+    left -= used;
+  }
+  return left;
+}
+
+function buildTaxReport(transactions, fy = currentFy()) {
+  const rules = loadRules();
+  const period = parseFy(fy);
+  const yearRules = rules.years?.[period.label];
+  if (!yearRules) {
+    throw badRequest(`No tax rules configured for FY ${period.label}`);
+  }
+
+  const { positions, warnings } = buildLedger(transactions);
+  const lots = [];
+  for (const p of positions) {
+    for (const r of p.realized) {
+      if (r.sellDate < period.from || r.sellDate > period.to) continue;
+      const lot = classifyLot(
+        { symbol: p.symbol, exchange: p.exchange, ...r },
+        rules,
+        yearRules
+      );
+      if (
+        lot.term === "LTCG" &&
+        r.buyDate <= rules.grandfatheringDate &&
+        r.fmv == null
+      ) {
+        warnings.push({
+          symbol: `${p.symbol}:${p.exchange}`,
+          buyTxId: r.buyTxId,
+          message: `No 31 Jan 2018 FMV for lot bought on ${r.buyDate}; actual cost used`,
+        });
+      }
+      lots.push(lot);
+    }
+  }
+
+  const st = bucketize(lots.filter((l) => l.term === "STCG"));
+  const lt = bucketize(lots.filter((l) => l.term === "LTCG"));
+
+  const stLosses = st.reduce((a, b) => a + b.losses, 0);
+  const ltLosses = lt.reduce((a, b) => a + b.losses, 0);
+
+  // Short-term losses set off against STCG and then LTCG; long-term losses only against LTCG.
+  const stLeft = absorb(st, stLosses);
+  const unabsorbedLosses = absorb(lt, ltLosses + stLeft);
+  const exemptionLeft = absorb(lt, yearRules.ltcgExemption || 0);
+
+  const taxOf = (buckets) =>
+    buckets.reduce((a, b) => a + b.taxable * b.rate, 0);
+  const stcgTax = taxOf(st);
+  const ltcgTax = taxOf(lt);
+  const cess = (stcgTax + ltcgTax) * (yearRules.cessRate || 0);
+
+  const sum = (buckets, k) => buckets.reduce((a, b) => a + b[k], 0);
+
+  return {
+    fy: period.label,
+    period,
+    rules: yearRules,
+    stcg: {
+      gains: sum(st, "gains"),
+      losses: stLosses,
+      net: sum(st, "gains") - stLosses,
+      taxable: sum(st, "taxable"),
+      tax: stcgTax,
+      byRate: st,
+    },
+    ltcg: {
+      gains: sum(lt, "gains"),
+      losses: ltLosses,
+      net: sum(lt, "gains") - ltLosses,
+      exemptionUsed: (yearRules.ltcgExemption || 0) - exemptionLeft,
+      taxable: sum(lt, "taxable"),
+      tax: ltcgTax,
+      byRate: lt,
+    },
+    unabsorbedLosses,
+    estimatedTax: {
+      stcg: stcgTax,
+      ltcg: ltcgTax,
+      cess,
+      total: stcgTax + ltcgTax + cess,
+    },
+    lots,
+    warnings,
+    ts: Date.now(),
+  };
+}
+
+module.exports = { buildTaxReport, currentFy };
@@ -0,0 +1,84 @@
+const XLSX = require("xlsx");
+
+const HEADERS = [
+  "Particulars",
+  "Purchase Price",
+  "Qty",
+  "NSE/BSE",
+  "Exchange",
+  "Purchase Date",
+];
+
+const EXAMPLE_ROWS = [
+  ["Financial Sector"],
+  ["HDFC Bank", 1500, 10, "HDFCBANK", "NSE", "2023-04-17"],
+  ["Bajaj Finance", 6800, 2, "BAJFINANCE", "NSE", "2022-11-02"],
+  ["Tech Sector"],
+  ["Infosys", 1400, 15, "INFY", "NSE", "2021-08-09"],
+  ["Power Sector"],
+  ["Tata Power", 250, 40, "500400", "BSE", "2023-01-20"],
+];
+
+const VALIDATION_ROWS = 500;
+const EXCHANGE_COL = XLSX.utils.encode_col(HEADERS.indexOf("Exchange"));
+
+const NOTES = [
+  ["How to fill this template"],
+  [
+    "Add a sector title row (e.g. 'Financial Sector') above the holdings in that sector.",
+  ],
+  [
+    "Particulars is the company name; NSE/BSE is the NSE symbol or numeric BSE code.",
+  ],
+  ["Exchange must be NSE or BSE (pick from the dropdown)."],
+  [
+    "Purchase Date is optional (YYYY-MM-DD or DD/MM/YYYY) and enables XIRR/CAGR.",
+  ],
+  ["Rows starting with 'Total' are ignored."],
+];
+
+function exchangeValidationXml() {
+  const ref = `${EXCHANGE_COL}2:${EXCHANGE_COL}${VALIDATION_ROWS}`;
+  return (
+    `<dataValidations count="1">` +
+    `<dataValidation type="list" allowBlank="1" showErrorMessage="1" ` +
+    `errorTitle="Invalid exchange" error="Choose NSE or BSE" sqref="${ref}">` +
+    `<formula1>"NSE,BSE"</formula1></dataValidation></dataValidations>`
+  );
+}
+
+// SheetJS CE does not write data validations, so splice them into the sheet XML.
+function injectValidation(buffer, sheetPath) {
+  const zip = XLSX.CFB.read(buffer, { type: "buffer" });
+  const entry = XLSX.CFB.find(zip, sheetPath);
+  if (!entry) return buffer;
+
+  const xml = Buffer.from(entry.content).toString("utf8");
+  const anchor = xml.match(
+    /<(hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|ignoredErrors)\b|<\/worksheet>/
+  );
+  if (!anchor) return buffer;
+
+  const patched =
+    xml.slice(0, anchor.index) +
+    exchangeValidationXml() +
+    xml.slice(anchor.index);
+  entry.content = Buffer.from(patched, "utf8");
+  entry.size = entry.content.length;
+
+  return Buffer.from(XLSX.CFB.write(zip, { type: "buffer", fileType: "zip" }));
+}
+
+function buildTemplate() {
+  const ws = XLSX.utils.aoa_to_sheet([HEADERS, ...EXAMPLE_ROWS]);
+  ws["!cols"] = HEADERS.map((h) => ({ wch: Math.max(14, h.length + 2) }));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Portfolio");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(NOTES), "Notes");
+
+  const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+  return injectValidation(buffer, "/xl/worksheets/sheet1.xml");
+}
+
+module.exports = { buildTemplate };
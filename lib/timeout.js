@@ -0,0 +1,11 @@
+function withTimeout(p, ms, onTimeoutMsg = "timeout") {
+  let timer;
+  return Promise.race([
+    p,
+    new Promise((_, rej) => {
+      timer = setTimeout(() => rej(new Error(onTimeoutMsg)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { withTimeout };
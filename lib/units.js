@@ -0,0 +1,72 @@
+const SCALES = {
+  k: 1e3,
+  l: 1e5,
+  lakh: 1e5,
+  lakhs: 1e5,
+  m: 1e6,
+  cr: 1e7,
+  crore: 1e7,
+  crores: 1e7,
+  b: 1e9,
+  t: 1e12,
+  "lakh crore": 1e12,
+  "lakh crores": 1e12,
+};
+
+const NUM_RX =
+  /([-−])?\s*(?:₹|rs\.?|inr)?\s*(\d[\d,]*(?:\.\d+)?|\.\d+)\s*(lakh\s+crores?|lakhs?|crores?|cr\.?|[klmbt])?(?![a-z\d])/i;
+
+function parseIndianNumber(text) {
+  if (text == null) return null;
+  if (typeof text === "number") return Number.isFinite(text) ? text : null;
+
+  const m = String(text)
+    .replace(/\u00A0|\u2009|\u202F/g, " ")
+    .match(NUM_RX);
+  if (!m) return null;
+
+  const n = Number(m[2].replace(/,/g, ""));
+  if (!Number.isFinite(n)) return null;
+
+  const suffix = (m[3] || "")
+    .toLowerCase()
+    .replace(/\.$/, "")
+    .replace(/\s+/g, " ");
+  const value = n * (SCALES[suffix] ?? 1);
+  return m[1] ? -value : value;
+}
+
+function currencyOf(text) {
+  if (/₹|\binr\b|\brs\b/i.test(text)) return "INR";
+  const m = String(text).match(/\b(USD|EUR|GBP)\b/);
+  return m ? m[1] : null;
+}
+
+function parseMetric(text, kind) {
+  if (text == null || text === "") return null;
+  const raw = String(text).trim();
+
+  if (kind === "range") {
+    const parts = raw.split(/\s[-–]\s/);
+    if (parts.length !== 2) return null;
+    const low = parseIndianNumber(parts[0]);
+    const high = parseIndianNumber(parts[1]);
+    if (low == null || high == null) return null;
+    return { low, high, unit: currencyOf(raw) || "INR", raw };
+  }
+
+  const value = parseIndianNumber(raw);
+  if (value == null) return null;
+
+  const unit = /%/.test(raw) ? "%" : unitFor(kind, currencyOf(raw) || "INR");
+  return { value, unit, raw };
+}
+
+function unitFor(kind, currency = "INR") {
+  if (kind === "percent") return "%";
+  if (kind === "currency") return currency;
+  if (kind === "ratio") return "x";
+  return null;
+}
+
+module.exports = { parseIndianNumber, parseMetric, unitFor };
@@ -0,0 +1,129 @@
+const { transformRows } = require("./excel");
+const { fetchPriceCached } = require("./prices");
+const { fetchFundamentals } = require("./fundamentals");
+const { withTimeout } = require("./timeout");
+const { normalizeItemSymbolExchange } = require("./symbols");
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const n = Number(String(v).replace(/,/g, "").trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function pct(part, base) {
+  return base ? (part / base) * 100 : null;
+}
+
+function itemKey(h) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(h);
+  return { key: `${symbol}:${exchange}`, symbol, exchange };
+}
+
+async function lookupSymbol(item, timeoutMs) {
+  const [price, fundamentals] = await Promise.all([
+    withTimeout(fetchPriceCached(item), timeoutMs, "price timeout").catch(
+      (err) => ({
+        ok: false,
+        price: null,
+        error: err?.message || String(err),
+      })
+    ),
+    fetchFundamentals(item, timeoutMs),
+  ]);
+  return { price, fundamentals };
+}
+
+function enrichHolding(h, lookup) {
+  const { price, fundamentals } = lookup;
+  const errors = [];
+
+  const cmp = price.ok ? toNum(price.price) : null;
+  if (cmp == null) {
+    errors.push({ field: "cmp", error: price.error || "No price returned" });
+  }
+  if (!fundamentals.ok) {
+    errors.push({ field: "fundamentals", error: fundamentals.error });
+  }
+
+  const presentValue = cmp != null ? cmp * (h.qty || 0) : null;
+  const gainLoss = presentValue != null ? presentValue - h.investment : null;
+
+  return {
+    ...h,
+    cmp,
+    presentValue,
+    gainLoss,
+    gainLossPct: gainLoss != null ? pct(gainLoss, h.investment) : null,
+    pe: fundamentals.ok ? toNum(fundamentals.pe) : null,
+    latestEarnings: fundamentals.ok ? toNum(fundamentals.latestEarnings) : null,
+    priceSource: price.source || null,
+    errors,
+  };
+}
+
+function summarize(holdings) {
+  const priced = holdings.filter((h) => h.presentValue != null);
+  const totalInvestment = holdings.reduce((a, h) => a + h.investment, 0);
+  const pricedInvestment = priced.reduce((a, h) => a + h.investment, 0);
+  const presentValue = priced.reduce((a, h) => a + h.presentValue, 0);
+  const gainLoss = presentValue - pricedInvestment;
+
+  return {
+    totalInvestment,
+    presentValue,
+    gainLoss,
+    gainLossPct: pct(gainLoss, pricedInvestment),
+    pricedCount: priced.length,
+    unpricedCount: holdings.length - priced.length,
+  };
+}
+
+async function valuePortfolio(rows, { symbolTimeoutMs = 6000 } = {}) {
+  const base = transformRows(rows);
+
+  const uniq = new Map();
+  for (const h of base.holdings) {
+    const k = itemKey(h);
+    uniq.set(k.key, k);
+  }
+
+  const lookups = new Map();
+  await Promise.all(
+    Array.from(uniq.values()).map(async (i) => {
+      lookups.set(i.key, await lookupSymbol(i, symbolTimeoutMs));
+    })
+  );
+
+  const holdings = base.holdings.map((h) =>
+    enrichHolding(h, lookups.get(itemKey(h).key))
+  );
+
+  const bySector = new Map();
+  for (const h of holdings) {
+    if (!bySector.has(h.sector)) bySector.set(h.sector, []);
+    bySector.get(h.sector).push(h);
+  }
+
+  const sectors = Array.from(bySector, ([sector, list]) => ({
+    sector,
+    ...summarize(list),
+    holdings: list,
+  }));
+
+  const totals = summarize(holdings);
+
+  return {
+    totalInvestment: totals.totalInvestment,
+    totalPresentValue: totals.presentValue,
+    totalGainLoss: totals.gainLoss,
+    totalGainLossPct: totals.gainLossPct,
+    pricedCount: totals.pricedCount,
+    unpricedCount: totals.unpricedCount,
+    holdings,
+    sectors,
+    ts: Date.now(),
+  };
+}
+
+module.exports = { valuePortfolio };
@@ -0,0 +1,85 @@
+const { normalizeItemSymbolExchange } = require("./symbols");
+const { fetchEachProvider, loadConfig } = require("./providers");
+const { isPriceStale, marketState } = require("./market");
+
+function verifyOptions({ tolerancePct, staleAfterMs } = {}) {
+  const defaults = loadConfig().verify || {};
+  const tol = Number(tolerancePct);
+  const stale = Number(staleAfterMs);
+  return {
+    tolerancePct:
+      Number.isFinite(tol) && tol >= 0 ? tol : defaults.tolerancePct ?? 1,
+    staleAfterMs:
+      Number.isFinite(stale) && stale > 0
+        ? stale
+        : defaults.staleAfterMs ?? 15 * 60_000,
+  };
+}
+
+function toSource({ provider, ok, error, result }, { staleAfterMs, now }) {
+  const asOf = result.marketTime ?? result.ts ?? null;
+  return {
+    provider,
+    ok,
+    symbol: result.symbol ?? null,
+    price: ok ? result.price : null,
+    currency: result.currency ?? null,
+    asOf,
+    stale: ok && isPriceStale(asOf, now, staleAfterMs),
+    ...(ok ? {} : { error }),
+  };
+}
+
+async function verifyPrice(item, opts = {}) {
+  const { symbol, exchange } = normalizeItemSymbolExchange(item);
+  const { tolerancePct, staleAfterMs } = verifyOptions(opts);
+  const now = Date.now();
+
+  const sources = (await fetchEachProvider({ symbol, exchange })).map((r) =>
+    toSource(r, { staleAfterMs, now })
+  );
+  const priced = sources.filter((s) => s.ok);
+  const fresh = priced.filter((s) => !s.stale);
+
+  const flags = [];
+  if (sources.some((s) => !s.ok && /mismatch/i.test(s.error || ""))) {
+    flags.push("ticker_mismatch");
+  }
+  if (priced.some((s) => s.stale)) flags.push("stale_source");
+  if (!priced.length) flags.push("no_price");
+  else if (priced.length === 1) flags.push("single_source");
+
+  let spread = null;
+  let spreadPct = null;
+  if (priced.length > 1) {
+    const prices = priced.map((s) => s.price);
+    const lo = Math.min(...prices);
+    const hi = Math.max(...prices);
+    spread = hi - lo;
+    spreadPct = lo ? (spread / lo) * 100 : null;
+  }
+  const withinTolerance = spreadPct == null ? null : spreadPct <= tolerancePct;
+  if (withinTolerance === false) flags.push("spread_exceeds_tolerance");
+
+  const pick = withinTolerance === false ? null : fresh[0] || priced[0];
+
+  return {
+    symbol,
+    exchange,
+    ok: !!pick,
+    price: pick ? pick.price : null,
+    provider: pick ? pick.provider : null,
+    marketState: marketState(now),
+    asOf: pick ? pick.asOf : null,
+    isStale: pick ? pick.stale : true,
+    spread,
+    spreadPct,
+    tolerancePct,
+    withinTolerance,
+    flags,
+    sources,
+    ts: now,
+  };
+}
+
+module.exports = { verifyPrice, verifyOptions };
@@ -2,13 +2,20 @@ const YahooFinance = require("yahoo-finance2").default;
 const { LRUCache } = require("lru-cache");
 const Bottleneck = require("bottleneck");
 const { request } = require("undici");
+const { findByBseCode } = require("./scripmaster");
+const { namespaced, readThrough } = require("./cache");
+const { withBreaker, hostOf, checkResponse, YAHOO_HOST } = require("./breaker");
 
 const yf = new YahooFinance();
 
 const searchLimiter = new Bottleneck({ minTime: 300 });
 const verifyLimiter = new Bottleneck({ minTime: 200 });
+const profileLimiter = new Bottleneck({ minTime: 300 });
 
-const symbolMapCache = new LRUCache({ max: 2000, ttl: 24 * 60 * 60 * 1000 });
+const symbolMapCache = namespaced(
+  "bse-yahoo-symbols",
+  new LRUCache({ max: 2000, ttl: 24 * 60 * 60 * 1000 })
+);
 
 function isBO(sym) {
   return typeof sym === "string" && sym.toUpperCase().endsWith(".BO");
@@ -32,19 +39,24 @@ function scoreCandidate(q) {
 }
 
 async function yahooSearchOnce(query) {
-  const result = await searchLimiter.schedule(() => yf.search(query));
+  const result = await withBreaker(YAHOO_HOST, () =>
+    searchLimiter.schedule(() => yf.search(query))
+  );
   return Array.isArray(result?.quotes) ? result.quotes : [];
 }
 
 async function fetchText(url) {
-  const { body } = await request(url, {
-    headers: {
-      "user-agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome Safari",
-      accept: "text/html,application/xhtml+xml",
-    },
+  return withBreaker(hostOf(url), async () => {
+    const res = await request(url, {
+      headers: {
+        "user-agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome Safari",
+        accept: "text/html,application/xhtml+xml",
+      },
+    });
+    await checkResponse(res, url);
+    return res.body.text();
   });
-  return body.text();
 }
 
 async function tryMobileSecurityId(code) {
@@ -121,7 +133,9 @@ async function fetchBseSecurityId(code) {
 
 async function verifyYahooSymbol(sym) {
   try {
-    const q = await verifyLimiter.schedule(() => yf.quote(sym));
+    const q = await withBreaker(YAHOO_HOST, () =>
+      verifyLimiter.schedule(() => yf.quote(sym))
+    );
     return !!(q && (q.symbol || q.regularMarketPrice != null));
   } catch {
     return false;
@@ -134,8 +148,11 @@ async function resolveBseNumericToYahooSymbol(numericCode, hintName) {
     throw new Error(`Not a numeric BSE code: ${code}`);
   }
 
+  const listed = findByBseCode(code);
+  if (listed?.bseId) return `${listed.bseId}.BO`;
+
   const cacheKey = `BSE:${code}:${(hintName || "").toUpperCase()}`;
-  const cached = symbolMapCache.get(cacheKey);
+  const cached = await readThrough(symbolMapCache, cacheKey);
   if (cached) return cached;
 
   const queries = [code, `${code} BSE`, `${code} India`];
@@ -179,4 +196,32 @@ async function resolveBseNumericToYahooSymbol(numericCode, hintName) {
   );
 }
 
-module.exports = { resolveBseNumericToYahooSymbol };
+async function getAssetProfile(sym) {
+  const res = await withBreaker(YAHOO_HOST, () =>
+    profileLimiter.schedule(() =>
+      yf.quoteSummary(sym, { modules: ["assetProfile"] })
+    )
+  );
+  return res?.assetProfile ?? null;
+}
+
+async function getKeyStatistics(sym) {
+  return withBreaker(YAHOO_HOST, () =>
+    profileLimiter.schedule(() =>
+      yf.quoteSummary(sym, {
+        modules: [
+          "price",
+          "summaryDetail",
+          "defaultKeyStatistics",
+          "financialData",
+        ],
+      })
+    )
+  );
+}
+
+module.exports = {
+  resolveBseNumericToYahooSymbol,
+  getAssetProfile,
+  getKeyStatistics,
+};
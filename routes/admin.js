@@ -0,0 +1,103 @@
+const { timingSafeEqual } = require("crypto");
+const { Router } = require("express");
+const multer = require("multer");
+const {
+  importScripMaster,
+  searchInstruments,
+  symbolTableStats,
+} = require("../lib/scripmaster");
+const { breakerStats, resetBreaker } = require("../lib/breaker");
+const { cacheStats, invalidateCache } = require("../lib/cache");
+
+const router = Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+});
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(token);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+router.use((req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res
+      .status(503)
+      .json({ error: "Admin API is disabled; set ADMIN_TOKEN to enable it" });
+  }
+  if (!tokenMatches(req.get("x-admin-token"), token)) {
+    return res.status(401).json({ error: "Admin token required" });
+  }
+  next();
+});
+
+router.get("/symbols", (_req, res) => {
+  res.json(symbolTableStats());
+});
+
+router.get("/symbols/search", (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 20), 100);
+  res.json(searchInstruments(req.query.q, limit));
+});
+
+router.post("/symbols/import", upload.any(), (req, res, next) => {
+  try {
+    const files = (req.files || []).filter((f) => f.buffer?.length);
+    if (!files.length) {
+      return res.status(400).json({
+        error:
+          "Attach the NSE EQUITY_L.csv and/or the BSE scrip master (any field name)",
+      });
+    }
+    const results = files.map((f) =>
+      importScripMaster(f.buffer, f.originalname)
+    );
+    res.json({ results, ...symbolTableStats() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/breakers", (_req, res) => {
+  res.json({ breakers: breakerStats(), ts: Date.now() });
+});
+
+router.post("/breakers/:host/reset", (req, res) => {
+  if (!resetBreaker(req.params.host)) {
+    return res.status(404).json({ error: "No breaker for that host" });
+  }
+  res.json({ breakers: breakerStats(), ts: Date.now() });
+});
+
+router.get("/cache", async (_req, res, next) => {
+  try {
+    res.json(await cacheStats());
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/cache/invalidate", async (req, res, next) => {
+  try {
+    const namespace = req.body?.namespace ?? req.query.namespace;
+    const symbol = req.body?.symbol ?? req.query.symbol;
+    if (!namespace && !symbol) {
+      return res
+        .status(400)
+        .json({ error: "Provide a namespace and/or symbol" });
+    }
+    const results = await invalidateCache({ namespace, symbol });
+    res.json({
+      removed: results.reduce((a, r) => a + r.removed, 0),
+      results,
+      ts: Date.now(),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
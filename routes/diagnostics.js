@@ -0,0 +1,29 @@
+const { Router } = require("express");
+const { extractorStats, runFixtures } = require("../lib/extractors");
+
+const router = Router();
+
+router.get("/scrapers", (req, res, next) => {
+  try {
+    const extractors = extractorStats();
+    const out = {
+      degraded: extractors.filter((e) => e.degraded).map((e) => e.name),
+      extractors,
+      ts: Date.now(),
+    };
+    if (String(req.query.fixtures || "") === "true") {
+      const fixtures = runFixtures();
+      out.fixtures = {
+        pass: fixtures.every((f) => f.pass),
+        captured: fixtures.filter((f) => f.source === "captured").length,
+        synthetic: fixtures.filter((f) => f.source === "synthetic").length,
+        results: fixtures,
+      };
+    }
+    res.json(out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
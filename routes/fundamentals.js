@@ -1,50 +1,12 @@
 const { Router } = require("express");
-const { fundamentalsBySymbol, symbolResolveCache } = require("../lib/cache");
-const { scrapeFundamentals } = require("../lib/scrape");
 const {
-  isNumericSymbol,
-  normalizeItemSymbolExchange,
-  cleanSym,
-} = require("../lib/symbols");
-const { resolveBseNumericToYahooSymbol } = require("../lib/yahoo");
+  normalizeForGoogle,
+  loadFundamentals,
+  parseFields,
+} = require("../lib/fundamentals");
 
 const router = Router();
 
-const withTimeout = (p, ms, onTimeoutMsg = "timeout") =>
-  Promise.race([
-    p,
-    new Promise((_, rej) => setTimeout(() => rej(new Error(onTimeoutMsg)), ms)),
-  ]);
-
-async function normalizeForGoogle(item) {
-  const { symbol, exchange } = normalizeItemSymbolExchange(item);
-
-  if (exchange === "BSE") {
-    const raw = cleanSym(symbol);
-    if (isNumericSymbol(raw)) {
-      const cached = symbolResolveCache.get(raw);
-      if (cached) return cached;
-      try {
-        const yahooSym = await withTimeout(
-          resolveBseNumericToYahooSymbol(raw),
-          3000,
-          "resolve timeout"
-        );
-        const secId = yahooSym.replace(/\.BO$/i, "");
-        const out = { symbol: cleanSym(secId), exchange: "BOM" };
-        symbolResolveCache.set(raw, out);
-        return out;
-      } catch {
-        const out = { symbol: cleanSym(raw), exchange: "BOM" };
-        symbolResolveCache.set(raw, out);
-        return out;
-      }
-    }
-    return { symbol: cleanSym(raw), exchange: "BOM" };
-  }
-  return { symbol: cleanSym(symbol), exchange: "NSE" };
-}
-
 router.post("/", async (req, res) => {
   try {
     const { items } = req.body || {};
@@ -58,50 +20,21 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ error: "items[] is required" });
     }
 
+    let fields;
+    try {
+      fields = parseFields(req.body.fields ?? req.query.fields);
+    } catch (err) {
+      return res.status(err.status || 400).json({ error: err.message });
+    }
+
     const normalized = (await Promise.all(items.map(normalizeForGoogle)))
       .map((i) => ({ key: `${i.symbol}:${i.exchange}`, ...i }))
       .reduce((m, i) => m.set(i.key, i), new Map());
     const uniq = Array.from(normalized.values());
 
-    const hits = [];
-    const misses = [];
-    for (const i of uniq) {
-      const c = fundamentalsBySymbol.get(i.key);
-      if (c) {
-        hits.push({ ok: true, ...c, cache: "hit" });
-        const ttl = fundamentalsBySymbol.getRemainingTTL(i.key);
-        if (ttl !== undefined && ttl <= 0) {
-          scrapeFundamentals(i.symbol, i.exchange)
-            .then((f) => fundamentalsBySymbol.set(i.key, f))
-            .catch(() => {});
-        }
-      } else {
-        misses.push(i);
-      }
-    }
-
-    if (misses.length === 0) return res.json(hits);
-
     const startedAt = Date.now();
-    const tasks = misses.map((i) =>
-      withTimeout(
-        scrapeFundamentals(i.symbol, i.exchange),
-        perSymbolTimeout,
-        "scrape timeout"
-      )
-        .then((f) => {
-          fundamentalsBySymbol.set(i.key, f);
-          return { ok: true, ...f };
-        })
-        .catch((err) => ({
-          ok: false,
-          symbol: i.symbol,
-          exchange: i.exchange,
-          pe: null,
-          latestEarnings: null,
-          error: err?.message || String(err),
-          ts: Date.now(),
-        }))
+    const tasks = uniq.map((i) =>
+      loadFundamentals(i, perSymbolTimeout, fields)
     );
 
     const results = await Promise.race([
@@ -117,11 +50,9 @@ router.post("/", async (req, res) => {
     ]);
 
     if (results === null) {
-      const settled = (await Promise.allSettled(tasks))
+      const partial = (await Promise.allSettled(tasks))
         .filter((x) => x.status === "fulfilled")
         .map((x) => x.value);
-
-      const partial = [...hits, ...settled];
       if (!partial.some((r) => r.ok)) {
         return res
           .status(502)
@@ -130,13 +61,12 @@ router.post("/", async (req, res) => {
       return res.json(partial);
     }
 
-    const final = [...hits, ...results];
-    if (!final.some((r) => r.ok)) {
+    if (!results.some((r) => r.ok)) {
       return res
         .status(502)
-        .json({ error: "Failed to fetch fundamentals", details: final });
+        .json({ error: "Failed to fetch fundamentals", details: results });
     }
-    res.json(final);
+    res.json(results);
   } catch (err) {
     const msg = err?.message || String(err);
     console.error("fundamentals route fatal:", msg);
@@ -0,0 +1,58 @@
+const { parseExcel } = require("../lib/excel");
+const { classifyHoldings } = require("../lib/sectors");
+const { sanitizeMapping, getMapping } = require("../lib/mappings");
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const maybeClassify = (req, rows) =>
+  String(req.query.classify || "") === "false" ? rows : classifyHoldings(rows);
+
+function mappingFromRequest(req) {
+  const profile = req.body?.mappingProfile ?? req.query.mappingProfile;
+  if (profile) {
+    const saved = getMapping(String(profile));
+    if (!saved) throw badRequest(`Unknown mapping profile: ${profile}`);
+    return saved;
+  }
+  return req.body?.mapping ? sanitizeMapping(req.body.mapping) : undefined;
+}
+
+// Holdings from an uploaded workbook (honouring the column mapping) or from
+// holdings[]/rows[] in the body, classified unless ?classify=false.
+async function rowsFromRequest(req) {
+  let rows;
+  let validation = null;
+  if (req.file && req.file.buffer) {
+    ({ rows, validation } = parseExcel(req.file.buffer, {
+      mapping: mappingFromRequest(req),
+    }));
+  } else {
+    const { holdings, rows: bodyRows } = req.body || {};
+    rows = Array.isArray(holdings) ? holdings : bodyRows;
+  }
+  if (Array.isArray(rows) && rows.length) {
+    rows = await maybeClassify(req, rows);
+  }
+  return { rows, validation };
+}
+
+async function requireRows(req) {
+  const out = await rowsFromRequest(req);
+  if (!Array.isArray(out.rows) || !out.rows.length) {
+    throw badRequest(
+      "Attach an Excel file in 'file' field or send holdings[]/rows[]"
+    );
+  }
+  return out;
+}
+
+module.exports = {
+  maybeClassify,
+  mappingFromRequest,
+  rowsFromRequest,
+  requireRows,
+};
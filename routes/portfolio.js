@@ -1,6 +1,19 @@
 const { Router } = require("express");
 const multer = require("multer");
-const { parseExcel, transformRows } = require("../lib/excel");
+const { parseExcel, consolidateRows, transformRows } = require("../lib/excel");
+const { valuePortfolio } = require("../lib/valuation");
+const { computePortfolioFundamentals } = require("../lib/ratios");
+const { createPortfolio, savePortfolio } = require("../lib/portfolios");
+const { computePerformance } = require("../lib/performance");
+const {
+  listMappings,
+  getMapping,
+  saveMapping,
+  deleteMapping,
+} = require("../lib/mappings");
+const { maybeClassify, mappingFromRequest, requireRows } = require("./input");
+const { buildTemplate } = require("../lib/template");
+const { buildPortfolioWorkbook, exportFileName } = require("../lib/export");
 
 const router = Router();
 const upload = multer({
@@ -13,25 +26,65 @@ router.post("/upload", upload.single("file"), async (req, res, next) => {
     if (!req.file || !req.file.buffer) {
       return res
         .status(400)
-        .json({ error: "Attach an Excel file in 'file' field" });
+        .json({ error: "Attach an Excel or CSV file in 'file' field" });
     }
 
-    const { rows, meta } = parseExcel(req.file.buffer);
+    const mapping = mappingFromRequest(req);
+    const {
+      rows: parsed,
+      accounts,
+      meta,
+      validation,
+    } = parseExcel(req.file.buffer, {
+      mapping,
+    });
 
     if (req.query.debug) {
-      return res.json({ meta, rowsPreview: rows.slice(0, 5) });
+      return res.json({ meta, validation, rowsPreview: parsed.slice(0, 5) });
     }
 
-    if (!rows.length) {
+    if (String(req.query.strict || "") === "true" && validation.errors.length) {
+      return res.status(422).json({
+        error: "Upload has invalid rows",
+        validation,
+        meta,
+      });
+    }
+
+    if (!parsed.length) {
       return res.status(400).json({
         error: "No rows found in Excel",
-        hint: "Ensure your first or any sheet has a header row with at least: [Particulars/Symbol], Purchase Price, Qty",
+        hint: "Ensure your first or any sheet has a header row with at least: [Particulars/Symbol], Purchase Price, Qty, or upload a Zerodha/Groww/Upstox holdings export",
         meta,
+        validation,
+      });
+    }
+
+    const rows = await maybeClassify(req, parsed);
+
+    const { portfolioId, save, name } = req.query;
+    if (portfolioId) {
+      return res.json(savePortfolio(String(portfolioId), { name, rows }));
+    }
+    if (save) {
+      return res.status(201).json(createPortfolio({ name, rows }));
+    }
+
+    if (accounts.length > 1) {
+      return res.json({
+        ...transformRows(consolidateRows(rows)),
+        format: meta.format,
+        validation,
+        accounts: accounts.map((a) => ({
+          account: a.account,
+          format: a.meta.format,
+          ...transformRows(rows.filter((r) => r.account === a.account)),
+        })),
       });
     }
 
     const out = transformRows(rows);
-    return res.json(out);
+    return res.json({ ...out, format: meta.format, validation });
   } catch (err) {
     next(err);
   }
@@ -43,11 +96,123 @@ router.post("/normalize", async (req, res, next) => {
     if (!Array.isArray(rows) || !rows.length) {
       return res.status(400).json({ error: "rows[] is required" });
     }
-    const out = transformRows(rows);
+    const out = transformRows(await maybeClassify(req, rows));
     res.json(out);
   } catch (err) {
     next(err);
   }
 });
 
+router.post("/valuation", upload.single("file"), async (req, res, next) => {
+  try {
+    const { rows, validation } = await requireRows(req);
+    const symbolTimeoutMs = Math.min(
+      Number(req.query.symbolTimeoutMs || 6000),
+      15000
+    );
+    const out = await valuePortfolio(rows, { symbolTimeoutMs });
+    res.json(validation ? { ...out, validation } : out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/performance", upload.single("file"), async (req, res, next) => {
+  try {
+    const { rows, validation } = await requireRows(req);
+    const out = await computePerformance({
+      rows,
+      benchmark: req.query.benchmark,
+      sectorBenchmarks: String(req.query.sectorBenchmarks || "") === "true",
+    });
+    res.json(validation ? { ...out, validation } : out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/fundamentals", upload.single("file"), async (req, res, next) => {
+  try {
+    const { rows, validation } = await requireRows(req);
+    const symbolTimeoutMs = Math.min(
+      Number(req.query.symbolTimeoutMs || 6000),
+      15000
+    );
+    const outlierPct = Number(req.query.outlierPct);
+    const out = await computePortfolioFundamentals(rows, {
+      symbolTimeoutMs,
+      outlierPct: outlierPct > 0 ? outlierPct : undefined,
+    });
+    res.json(validation ? { ...out, validation } : out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/export", upload.single("file"), async (req, res, next) => {
+  try {
+    const { rows, validation } = await requireRows(req);
+    const symbolTimeoutMs = Math.min(
+      Number(req.query.symbolTimeoutMs || 6000),
+      15000
+    );
+    const valuation = await valuePortfolio(rows, { symbolTimeoutMs });
+    const name = req.body?.name || req.query.name;
+    if (validation) {
+      res.set("X-Validation-Errors", String(validation.errors.length));
+      res.set("X-Validation-Warnings", String(validation.warnings.length));
+    }
+    res
+      .set(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      )
+      .set(
+        "Content-Disposition",
+        `attachment; filename="${exportFileName(name)}"`
+      )
+      .send(buildPortfolioWorkbook(valuation, { name }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/template", (_req, res) => {
+  res
+    .set(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    )
+    .set(
+      "Content-Disposition",
+      'attachment; filename="portfolio-template.xlsx"'
+    )
+    .send(buildTemplate());
+});
+
+router.get("/mappings", (_req, res) => {
+  res.json(listMappings());
+});
+
+router.get("/mappings/:name", (req, res) => {
+  const out = getMapping(req.params.name);
+  if (!out) return res.status(404).json({ error: "Mapping not found" });
+  res.json(out);
+});
+
+router.put("/mappings/:name", (req, res, next) => {
+  try {
+    res.json(saveMapping(req.params.name, req.body?.mapping ?? req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/mappings/:name", (req, res) => {
+  if (!deleteMapping(req.params.name)) {
+    return res.status(404).json({ error: "Mapping not found" });
+  }
+  res.status(204).end();
+});
+
 module.exports = router;
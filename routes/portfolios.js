@@ -0,0 +1,311 @@
+const { Router } = require("express");
+const multer = require("multer");
+const { parseTransactions, transformRows } = require("../lib/excel");
+const {
+  listPortfolios,
+  getPortfolio,
+  getPortfolioRows,
+  getHoldingRows,
+  createPortfolio,
+  savePortfolio,
+  deletePortfolio,
+  addHolding,
+  updateHolding,
+  removeHolding,
+  getTransactions,
+  addTransactions,
+  removeTransaction,
+} = require("../lib/portfolios");
+const {
+  buildLedger,
+  holdingsFromLedger,
+  withUnrealized,
+} = require("../lib/ledger");
+const { buildTaxReport, currentFy } = require("../lib/tax");
+const { computePerformance } = require("../lib/performance");
+const { computeRisk } = require("../lib/risk");
+const { classifyHoldings } = require("../lib/sectors");
+const { fetchPrice } = require("../lib/prices");
+const { withTimeout } = require("../lib/timeout");
+const { valuePortfolio } = require("../lib/valuation");
+const { computePortfolioFundamentals } = require("../lib/ratios");
+const { buildPortfolioWorkbook, exportFileName } = require("../lib/export");
+const { rowsFromRequest } = require("./input");
+
+const router = Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+router.get("/", (_req, res) => {
+  res.json(listPortfolios());
+});
+
+router.post("/", upload.single("file"), async (req, res, next) => {
+  try {
+    const { rows } = await rowsFromRequest(req);
+    if (!Array.isArray(rows) || (req.file && !rows.length)) {
+      return res.status(400).json({
+        error: "Attach an Excel file in 'file' field or send rows[]",
+      });
+    }
+    const out = createPortfolio({ name: req.body?.name, rows });
+    res.status(201).json(out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/:id", (req, res) => {
+  const out = getPortfolio(req.params.id);
+  if (!out) return res.status(404).json({ error: "Portfolio not found" });
+  res.json(out);
+});
+
+router.put("/:id", upload.single("file"), async (req, res, next) => {
+  try {
+    const { rows } = await rowsFromRequest(req);
+    if (!Array.isArray(rows)) {
+      return res.status(400).json({
+        error: "Attach an Excel file in 'file' field or send rows[]",
+      });
+    }
+    const out = savePortfolio(req.params.id, { name: req.body?.name, rows });
+    res.json(out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id", (req, res) => {
+  if (!deletePortfolio(req.params.id)) {
+    return res.status(404).json({ error: "Portfolio not found" });
+  }
+  res.status(204).end();
+});
+
+router.post("/:id/holdings", (req, res) => {
+  const out = addHolding(req.params.id, req.body || {});
+  if (!out) return res.status(404).json({ error: "Portfolio not found" });
+  res.status(201).json(out);
+});
+
+router.put("/:id/holdings/:holdingId", (req, res) => {
+  const out = updateHolding(req.params.id, req.params.holdingId, req.body);
+  if (!out) {
+    return res.status(404).json({ error: "Portfolio or holding not found" });
+  }
+  res.json(out);
+});
+
+router.delete("/:id/holdings/:holdingId", (req, res) => {
+  const out = removeHolding(req.params.id, req.params.holdingId);
+  if (!out) {
+    return res.status(404).json({ error: "Portfolio or holding not found" });
+  }
+  res.json(out);
+});
+
+router.get("/:id/transactions", (req, res) => {
+  const out = getTransactions(req.params.id);
+  if (!out) return res.status(404).json({ error: "Portfolio not found" });
+  res.json(out);
+});
+
+router.post(
+  "/:id/transactions",
+  upload.single("file"),
+  async (req, res, next) => {
+    try {
+      let list;
+      let meta;
+      if (req.file && req.file.buffer) {
+        ({ transactions: list, meta } = parseTransactions(req.file.buffer));
+      } else {
+        const body = req.body || {};
+        list = Array.isArray(body.transactions) ? body.transactions : [body];
+      }
+
+      if (!list.length) {
+        return res.status(400).json({
+          error: "No transactions found",
+          hint: "Expected columns: Date, Type (buy/sell/dividend/fee), Symbol, Qty, Price",
+          meta,
+        });
+      }
+
+      const replace = String(req.query.replace || "") === "true";
+      const out = addTransactions(req.params.id, list, { replace });
+      if (!out) return res.status(404).json({ error: "Portfolio not found" });
+      res.status(201).json(out);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete("/:id/transactions/:txId", (req, res) => {
+  const out = removeTransaction(req.params.id, req.params.txId);
+  if (!out) {
+    return res
+      .status(404)
+      .json({ error: "Portfolio or transaction not found" });
+  }
+  res.json(out);
+});
+
+router.get("/:id/positions", async (req, res, next) => {
+  try {
+    const transactions = getTransactions(req.params.id);
+    if (!transactions) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+
+    let { positions, warnings } = buildLedger(transactions);
+
+    if (String(req.query.live || "") === "true") {
+      positions = await Promise.all(
+        positions.map(async (p) => {
+          if (!p.openQty) return withUnrealized(p, null);
+          const q = await withTimeout(fetchPrice(p), 6000, "price timeout")
+            .then((r) => (r.ok ? r.price : null))
+            .catch(() => null);
+          return withUnrealized(p, q);
+        })
+      );
+    }
+
+    const sum = (k) => positions.reduce((a, p) => a + (p[k] || 0), 0);
+
+    res.json({
+      ...transformRows(holdingsFromLedger(positions)),
+      realizedPnl: sum("realizedPnl"),
+      unrealizedPnl: positions.some((p) => p.unrealizedPnl != null)
+        ? sum("unrealizedPnl")
+        : null,
+      dividends: sum("dividends"),
+      fees: sum("fees"),
+      positions,
+      warnings,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/:id/tax", (req, res, next) => {
+  try {
+    const transactions = getTransactions(req.params.id);
+    if (!transactions) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    res.json(buildTaxReport(transactions, req.query.fy || currentFy()));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/:id/performance", async (req, res, next) => {
+  try {
+    const rows = getPortfolioRows(req.params.id);
+    if (!rows) return res.status(404).json({ error: "Portfolio not found" });
+    const transactions = getTransactions(req.params.id);
+    res.json(
+      await computePerformance({
+        rows,
+        transactions,
+        benchmark: req.query.benchmark,
+        sectorBenchmarks: String(req.query.sectorBenchmarks || "") === "true",
+      })
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/:id/risk", async (req, res, next) => {
+  try {
+    const rows = getHoldingRows(req.params.id);
+    if (!rows) return res.status(404).json({ error: "Portfolio not found" });
+    if (!rows.length) {
+      return res.status(400).json({ error: "Portfolio has no holdings" });
+    }
+
+    const { range, benchmark, riskFreeRate, topN } = req.query;
+    const rf =
+      riskFreeRate != null && riskFreeRate !== ""
+        ? Number(riskFreeRate)
+        : undefined;
+    if (rf !== undefined && !Number.isFinite(rf)) {
+      return res.status(400).json({ error: "riskFreeRate must be a number" });
+    }
+    const n = topN != null && topN !== "" ? Number(topN) : undefined;
+    if (n !== undefined && !(Number.isInteger(n) && n >= 1)) {
+      return res.status(400).json({ error: "topN must be a positive integer" });
+    }
+
+    const out = await computeRisk(rows, {
+      range: range ? String(range) : undefined,
+      benchmark: benchmark ? String(benchmark) : undefined,
+      riskFreeRate: rf,
+      topN: n,
+    });
+    res.json(out);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/:id/fundamentals", async (req, res, next) => {
+  try {
+    const rows = getHoldingRows(req.params.id);
+    if (!rows) return res.status(404).json({ error: "Portfolio not found" });
+    if (!rows.length) {
+      return res.status(400).json({ error: "Portfolio has no holdings" });
+    }
+
+    const symbolTimeoutMs = Math.min(
+      Number(req.query.symbolTimeoutMs || 6000),
+      15000
+    );
+    const outlierPct = Number(req.query.outlierPct);
+    res.json(
+      await computePortfolioFundamentals(await classifyHoldings(rows), {
+        symbolTimeoutMs,
+        outlierPct: outlierPct > 0 ? outlierPct : undefined,
+      })
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/:id/export.xlsx", async (req, res, next) => {
+  try {
+    const portfolio = getPortfolio(req.params.id);
+    if (!portfolio)
+      return res.status(404).json({ error: "Portfolio not found" });
+    const rows = getHoldingRows(req.params.id);
+
+    const symbolTimeoutMs = Math.min(
+      Number(req.query.symbolTimeoutMs || 6000),
+      15000
+    );
+    const valuation = await valuePortfolio(rows, { symbolTimeoutMs });
+    res
+      .set(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      )
+      .set(
+        "Content-Disposition",
+        `attachment; filename="${exportFileName(portfolio.name)}"`
+      )
+      .send(buildPortfolioWorkbook(valuation, { name: portfolio.name }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
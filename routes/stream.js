@@ -0,0 +1,43 @@
+const { Router } = require("express");
+const {
+  resolveStreamInput,
+  openPriceStream,
+  streamStats,
+  streamUsage,
+} = require("../lib/stream");
+
+const router = Router();
+
+router.get("/prices", (req, res, next) => {
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let close;
+  try {
+    close = openPriceStream(resolveStreamInput(req.query), send);
+  } catch (err) {
+    return next(err);
+  }
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25_000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    close();
+  });
+});
+
+router.get("/status", (_req, res) => {
+  res.json({ ...streamUsage(), pollers: streamStats(), ts: Date.now() });
+});
+
+module.exports = router;
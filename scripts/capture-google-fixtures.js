@@ -0,0 +1,67 @@
+// Records live Google Finance quote pages into fixtures/google.
+//   npm run fixtures:capture -- RELIANCE:NSE INFY:NSE 500325:BOM
+// Expected values are taken from the current extractors; check them against
+// the page before committing, and fix any that are null or wrong by hand.
+const fs = require("fs");
+const path = require("path");
+const { fetchHtml, gfUrl } = require("../lib/scrape");
+const {
+  FIXTURES_DIR,
+  pageContext,
+  previewExtractors,
+  trimCapturedHtml,
+} = require("../lib/extractors");
+
+async function capture(quote, capturedAt) {
+  const [symbol, exchange] = quote.split(":");
+  if (!symbol || !exchange) {
+    throw new Error(`Expected SYMBOL:EXCHANGE, got ${quote}`);
+  }
+
+  const url = gfUrl(symbol, exchange);
+  const html = trimCapturedHtml(await fetchHtml(url, { timeoutMs: 15000 }));
+  const file = `${symbol}-${exchange}-${capturedAt}.html`
+    .toLowerCase()
+    .replace(/[^\w.-]+/g, "_");
+  fs.writeFileSync(path.join(FIXTURES_DIR, file), html);
+
+  const expect = previewExtractors(pageContext(html));
+  return {
+    file,
+    source: "captured",
+    url,
+    capturedAt,
+    description: `${quote} quote page captured ${capturedAt}`,
+    expect,
+  };
+}
+
+async function main() {
+  const quotes = process.argv.slice(2);
+  if (!quotes.length) {
+    console.error("Usage: capture-google-fixtures SYMBOL:EXCHANGE ...");
+    process.exit(1);
+  }
+
+  const manifestFile = path.join(FIXTURES_DIR, "manifest.json");
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  const capturedAt = new Date().toISOString().slice(0, 10);
+
+  for (const quote of quotes) {
+    const entry = await capture(quote, capturedAt);
+    manifest.fixtures = manifest.fixtures.filter((f) => f.file !== entry.file);
+    manifest.fixtures.push(entry);
+    const missing = Object.keys(entry.expect).filter(
+      (k) => entry.expect[k] == null
+    );
+    console.log(`${quote} -> ${entry.file}`);
+    if (missing.length) console.log(`  no value for: ${missing.join(", ")}`);
+  }
+
+  fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});